@@ -1,4 +1,4 @@
-import { ease } from './math.js';
+import { easeInverse } from './math.js';
 
 /**
  * Generic move animation queue. Manages a FIFO queue of moves,
@@ -12,31 +12,48 @@ export class AnimationQueue {
         this.moveDuration = 300;
     }
 
-    queueMove(move) {
-        this.queue.push(move);
+    /**
+     * @param {Object} move
+     * @param {number} [from=0] - Fraction of the turn already shown (e.g. dragged by
+     *   hand); the animation picks up there instead of starting from rest
+     */
+    queueMove(move, from = 0) {
+        this.queue.push({ move, from });
     }
 
     /**
      * Advance animation state. Call once per frame.
      * When a move completes, calls puzzle.applyRotation(pieces, move).
-     * @returns {{ current: Object|null, progress: number }}
+     * Moves the puzzle reports as blocked are dropped instead of started.
+     * @returns {{ current: Object|null, progress: number, applied: Object|null, blocked: Array<Object> }}
+     *   `applied` is the move that finished during this frame, if any;
+     *   `blocked` the moves dropped this frame.
      */
     update(time, puzzle, pieces) {
         let progress = 0;
+        let applied = null;
+        const blocked = [];
         if (this.current) {
             progress = (time - this.moveStart) / this.moveDuration;
             if (progress >= 1) {
                 puzzle.applyRotation(pieces, this.current);
+                applied = this.current;
                 this.current = null;
                 progress = 0;
             }
         }
-        if (!this.current && this.queue.length > 0) {
-            this.current = this.queue.shift();
-            this.moveStart = time;
-            progress = 0;
+        while (!this.current && this.queue.length > 0) {
+            const { move: next, from } = this.queue.shift();
+            if (puzzle.isMoveBlocked(pieces, next)) {
+                blocked.push(next);
+                continue;
+            }
+            // Progress at which the eased angle reaches `from`
+            progress = easeInverse(from);
+            this.current = next;
+            this.moveStart = time - progress * this.moveDuration;
         }
-        return { current: this.current, progress: Math.min(progress, 1) };
+        return { current: this.current, progress: Math.min(progress, 1), applied, blocked };
     }
 
     clear() {
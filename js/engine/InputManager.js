@@ -2,10 +2,15 @@ const SPEED_MIN = 50, SPEED_MAX = 1000;
 function sliderToSpeed(v) { return SPEED_MIN + SPEED_MAX - v; }
 function speedToSlider(d) { return SPEED_MIN + SPEED_MAX - d; }
 
+const TURN_START_PX = 8;    // Drag on a sticker this far (canvas px) picks the layer to turn
+const TURN_STEP_PX = 120;   // ...and each further this far turns it one moveAngle step
+const ZOOM_MIN = 0.5, ZOOM_MAX = 2.5;
+
 /**
- * Generic input manager. Handles keyboard, mouse drag, click selection,
- * and dynamically generated config UI. Delegates puzzle-specific move
- * resolution to the PuzzleDefinition interface.
+ * Generic input manager. Handles keyboard, pointer drags and pinches (mouse,
+ * pen or touch), click selection, the on-screen move pad and dynamically
+ * generated config UI. Delegates puzzle-specific move resolution to the
+ * PuzzleDefinition interface.
  */
 export class InputManager {
     constructor(engine) {
@@ -16,6 +21,13 @@ export class InputManager {
         this.dragStartX = 0;
         this.dragStartY = 0;
         this.dragMoved = false;
+        this.turnDrag = null;       // Drag that started on a sticker: { hit, x, y, move, fraction }
+        this.turnPreview = null;    // The dragged layer's move, dir scaled to how far it is turned
+        this._pointers = new Map(); // Pointers down on the 3D canvas: pointerId → { x, y } (client px)
+        this._pinch = null;         // Two-finger zoom: { distance, zoom } when it started
+        this._padReversed = false;  // Move pad's reverse toggle
+        this.bandageMode = false;
+        this._bandageFrom = null;   // First piece clicked in bandage mode
         this._boundKeyDown = null;
     }
 
@@ -26,6 +38,7 @@ export class InputManager {
             speedSlider.value = speedToSlider(this.engine.animation.moveDuration);
             speedSlider.addEventListener('input', () => {
                 this.engine.animation.setSpeed(sliderToSpeed(Number(speedSlider.value)));
+                this.engine.dispatchEvent(new CustomEvent('speedchange'));
             });
         }
         this._speedSlider = speedSlider;
@@ -34,23 +47,134 @@ export class InputManager {
         this._layerDisplay = document.getElementById('layer-display');
         this._updateLayerDisplay();
 
+        // --- Algorithm input ---
+        this._algorithmForm = document.getElementById('algorithm-form');
+        this._algorithmInput = document.getElementById('algorithm-input');
+        this._algorithmError = document.getElementById('algorithm-error');
+        this._moveDisplay = document.getElementById('move-display');
+        if (this._algorithmForm && this._algorithmInput) {
+            this._algorithmForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                try {
+                    this.engine.applyAlgorithm(this._algorithmInput.value);
+                    this._showAlgorithmError('');
+                } catch (err) {
+                    this._showAlgorithmError(err.message);
+                }
+            });
+        }
+        this.setupNotationUI(this.engine.puzzle);
+
+        // --- Solve button ---
+        this._solveButton = document.getElementById('solve-button');
+        if (this._solveButton) {
+            this._solveButton.addEventListener('click', async () => {
+                const button = this._solveButton;
+                button.disabled = true;
+                button.textContent = 'Solving…';
+                try {
+                    await this.engine.solve();
+                    this._showAlgorithmError('');
+                } catch (err) {
+                    this._showAlgorithmError(err.message);
+                } finally {
+                    button.disabled = false;
+                    button.textContent = 'Solve';
+                }
+            });
+        }
+
+        // --- Facelet import/export dialog ---
+        this._faceletButton = document.getElementById('facelet-button');
+        const dialog = document.getElementById('facelet-dialog');
+        const faceletInput = document.getElementById('facelet-input');
+        const faceletError = document.getElementById('facelet-error');
+        if (this._faceletButton && dialog && faceletInput) {
+            this._faceletButton.addEventListener('click', () => {
+                faceletInput.value = this.engine.exportFacelets();
+                if (faceletError) faceletError.textContent = '';
+                dialog.showModal();
+                faceletInput.select();
+            });
+            document.getElementById('facelet-import')?.addEventListener('click', (e) => {
+                e.preventDefault();
+                try {
+                    this.engine.importFacelets(faceletInput.value);
+                    dialog.close();
+                } catch (err) {
+                    if (faceletError) faceletError.textContent = err.message;
+                }
+            });
+        }
+        this.setupSolverUI(this.engine.puzzle, this.engine.config);
+
+        // --- Bandaging ---
+        this._bandageButton = document.getElementById('bandage-button');
+        if (this._bandageButton) {
+            this._bandageButton.addEventListener('click', () => this._setBandageMode(!this.bandageMode));
+        }
+        this.setupBandageUI(this.engine.puzzle);
+        this.engine.addEventListener('blocked', (e) => {
+            const puzzle = this.engine.puzzle;
+            const name = puzzle.hasNotation ? puzzle.formatMove(e.detail.move, this.engine.config) : null;
+            this._showAlgorithmError(`${name || 'Move'} is blocked: ${puzzle.blockedReason}`);
+        });
+
+        // --- Scramble text ---
+        this._scrambleText = document.getElementById('scramble-text');
+        const showScramble = () => {
+            if (this._scrambleText) this._scrambleText.textContent = this.engine.scrambleText ?? '';
+        };
+        this.engine.addEventListener('scramble', showScramble);
+        this.engine.addEventListener('statechange', showScramble);
+
         // --- Keyboard ---
         this._boundKeyDown = (e) => this._onKeyDown(e);
         document.addEventListener('keydown', this._boundKeyDown);
 
-        // --- 3D mouse drag ---
-        canvas3d.addEventListener('mousedown', (e) => {
+        // --- 3D pointer drag: turn the layer under a sticker, else orbit; two fingers zoom ---
+        canvas3d.addEventListener('pointerdown', (e) => {
+            canvas3d.setPointerCapture(e.pointerId);
+            this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this._pointers.size === 2) {
+                // A second finger turns the gesture into a pinch
+                this._cancelTurn();
+                this.dragging = false;
+                this.dragMoved = true;
+                this._pinch = { distance: this._pinchDistance(), zoom: this.engine.renderer.zoom };
+            }
+            if (this._pointers.size > 1) return;
             this.dragging = true;
             this.dragMoved = false;
             this.dragStartX = e.clientX;
             this.dragStartY = e.clientY;
+            const [px, py] = this._canvasPoint(canvas3d, e);
+            const engine = this.engine;
+            const hit = this.bandageMode || engine.animation.isAnimating ? null
+                : engine.renderer.hitTest(px, py, engine.puzzle.constructor.FACE_AXIS || null);
+            this.turnDrag = hit ? { hit, x: px, y: py, move: null, fraction: 0 } : null;
         });
 
-        window.addEventListener('mousemove', (e) => {
+        canvas3d.addEventListener('pointermove', (e) => {
+            if (!this._pointers.has(e.pointerId)) return;
+            this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this._pinch) {
+                if (this._pointers.size !== 2) return;
+                const zoom = this._pinch.zoom * this._pinchDistance() / this._pinch.distance;
+                this.engine.renderer.zoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, zoom));
+                return;
+            }
             if (!this.dragging) return;
             const dx = e.clientX - this.dragStartX;
             const dy = e.clientY - this.dragStartY;
             if (Math.abs(dx) > 2 || Math.abs(dy) > 2) this.dragMoved = true;
+            if (this.turnDrag) {
+                if (this._dragTurn(...this._canvasPoint(canvas3d, e))) return;
+                // No layer turns that way: orbit from here, not from where the drag began
+                this.dragStartX = e.clientX;
+                this.dragStartY = e.clientY;
+                return;
+            }
             this.engine.renderer.viewYaw -= dx * 0.01;
             this.engine.renderer.viewPitch -= dy * 0.01;
             this.engine.renderer.viewPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.engine.renderer.viewPitch));
@@ -58,17 +182,34 @@ export class InputManager {
             this.dragStartY = e.clientY;
         });
 
-        window.addEventListener('mouseup', () => { this.dragging = false; });
+        const endPointer = (e) => {
+            if (!this._pointers.delete(e.pointerId)) return;
+            if (this._pinch) {
+                // The gesture stays a pinch until every finger is up
+                if (this._pointers.size === 0) this._pinch = null;
+                return;
+            }
+            if (this.turnDrag) {
+                if (e.type === 'pointercancel') this._cancelTurn(); else this._releaseTurn();
+            } else if (this.dragging && this.dragMoved) {
+                this.engine.dispatchEvent(new CustomEvent('viewchange'));
+            }
+            this.dragging = false;
+        };
+        canvas3d.addEventListener('pointerup', endPointer);
+        canvas3d.addEventListener('pointercancel', endPointer);
 
         // --- 3D click selection ---
         canvas3d.addEventListener('click', (e) => {
             if (this.dragMoved) return;
-            const rect = canvas3d.getBoundingClientRect();
-            const px = (e.clientX - rect.left) * (canvas3d.width / rect.width);
-            const py = (e.clientY - rect.top) * (canvas3d.height / rect.height);
+            const [px, py] = this._canvasPoint(canvas3d, e);
             const puzzle = this.engine.puzzle;
             const faceAxisLookup = puzzle.constructor.FACE_AXIS || null;
             const hit = this.engine.renderer.hitTest(px, py, faceAxisLookup);
+            if (this.bandageMode) {
+                this._bandageClick(hit);
+                return;
+            }
             this.selected = hit;
         });
 
@@ -76,9 +217,7 @@ export class InputManager {
         if (canvas2d) {
             canvas2d.addEventListener('click', (e) => {
                 if (!this.engine.view2d) return;
-                const rect = canvas2d.getBoundingClientRect();
-                const px = (e.clientX - rect.left) * (canvas2d.width / rect.width);
-                const py = (e.clientY - rect.top) * (canvas2d.height / rect.height);
+                const [px, py] = this._canvasPoint(canvas2d, e);
                 const hit = this.engine.view2d.getClickTarget(px, py, this.engine.config);
                 this.selected = hit || null;
             });
@@ -108,6 +247,40 @@ export class InputManager {
                 });
                 label.appendChild(input);
                 label.append(` ${param.label}`);
+            } else if (param.type === 'text') {
+                label.textContent = `${param.label}: `;
+                input = document.createElement('input');
+                input.type = 'text';
+                input.value = config[param.key] ?? param.default;
+                input.spellcheck = false;
+                input.style.cssText = 'width:12em;font-family:monospace;';
+                input.addEventListener('change', () => {
+                    config[param.key] = input.value;
+                    puzzle.onConfigChange(config);
+                    // The puzzle normalizes the text; show what it kept
+                    input.value = config[param.key];
+                    this.selected = null;
+                    this.selectedDepth = 1;
+                    this._updateLayerDisplay();
+                    this.engine.onConfigChange(param.key);
+                });
+                label.appendChild(input);
+            } else if (param.type === 'select') {
+                label.textContent = `${param.label}: `;
+                input = document.createElement('select');
+                for (const option of param.options) {
+                    const opt = document.createElement('option');
+                    opt.value = option.value;
+                    opt.textContent = option.label;
+                    input.appendChild(opt);
+                }
+                input.value = config[param.key] ?? param.default;
+                input.addEventListener('change', () => {
+                    config[param.key] = input.value;
+                    puzzle.onConfigChange(config);
+                    this.engine.onConfigChange(param.key);
+                });
+                label.appendChild(input);
             } else {
                 label.textContent = `${param.label}: `;
                 input = document.createElement('input');
@@ -133,6 +306,50 @@ export class InputManager {
         }
     }
 
+    /**
+     * Set up the on-screen move pad, for devices without a keyboard: a button
+     * per base move, a reverse toggle and a layer depth selector.
+     */
+    setupMovePad(puzzle, config) {
+        const container = document.getElementById('move-pad');
+        if (!container) return;
+        container.innerHTML = '';
+        this._padReversed = false;
+
+        for (const [key, bm] of Object.entries(puzzle.baseMoves)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = bm.label || key.toUpperCase();
+            button.addEventListener('click', () => this._baseMove(bm, this._padReversed));
+            container.appendChild(button);
+        }
+
+        const reverse = document.createElement('button');
+        reverse.type = 'button';
+        reverse.textContent = 'Reverse';
+        reverse.setAttribute('aria-pressed', 'false');
+        reverse.addEventListener('click', () => {
+            this._padReversed = !this._padReversed;
+            reverse.setAttribute('aria-pressed', String(this._padReversed));
+        });
+        container.appendChild(reverse);
+
+        const label = document.createElement('label');
+        label.textContent = 'Layer: ';
+        const depth = document.createElement('select');
+        for (let d = 1; d <= (config.N || 3); d++) {
+            const opt = document.createElement('option');
+            opt.value = d;
+            opt.textContent = d;
+            depth.appendChild(opt);
+        }
+        depth.value = this.selectedDepth;
+        depth.addEventListener('change', () => this._setDepth(Number(depth.value)));
+        label.appendChild(depth);
+        container.appendChild(label);
+        this._padDepth = depth;
+    }
+
     /**
      * Set up the keyboard shortcuts display based on puzzle.baseMoves.
      */
@@ -141,14 +358,14 @@ export class InputManager {
         if (!container) return;
         container.innerHTML = '';
 
-        // Face move keys
-        const keys = Object.keys(puzzle.baseMoves).map(k => k.toUpperCase());
+        // Face move keys, with the move's name where the key differs from it
         const moveSpan = document.createElement('span');
-        keys.forEach(k => {
+        for (const [key, bm] of Object.entries(puzzle.baseMoves)) {
             const kbd = document.createElement('kbd');
-            kbd.textContent = k;
+            kbd.textContent = key.toUpperCase();
             moveSpan.appendChild(kbd);
-        });
+            if (bm.label && bm.label.toUpperCase() !== key.toUpperCase()) moveSpan.append(`${bm.label} `);
+        }
         moveSpan.append(' Rotate');
         container.appendChild(moveSpan);
 
@@ -158,6 +375,8 @@ export class InputManager {
             ['0-9', 'Layer depth'],
             ['Space', 'Scramble'],
             ['Esc', 'Reset'],
+            ['Ctrl+Z', 'Undo'],
+            ['Ctrl+Shift+Z', 'Redo'],
             ['+/-', 'Speed'],
         ];
         for (const [key, desc] of controls) {
@@ -201,14 +420,167 @@ export class InputManager {
         container.appendChild(clickSpan);
     }
 
+    /**
+     * Show the algorithm box only for puzzles that implement notation.
+     */
+    setupNotationUI(puzzle) {
+        if (!this._algorithmForm) return;
+        this._algorithmForm.style.display = puzzle && puzzle.hasNotation ? '' : 'none';
+        this._showAlgorithmError('');
+        this.showMove(null);
+    }
+
+    /** Show the Solve and State… buttons only where the puzzle supports them. */
+    setupSolverUI(puzzle, config) {
+        if (this._solveButton) {
+            this._solveButton.style.display = puzzle && puzzle.canSolve(config) ? '' : 'none';
+        }
+        if (this._faceletButton) {
+            this._faceletButton.style.display = puzzle && puzzle.hasFacelets ? '' : 'none';
+        }
+    }
+
+    /** Show the Bandage button only for puzzles that support bandaging; leaves bandage mode. */
+    setupBandageUI(puzzle) {
+        this._setBandageMode(false);
+        if (this._bandageButton) {
+            this._bandageButton.style.display = puzzle && puzzle.hasBandaging ? '' : 'none';
+        }
+    }
+
+    _setBandageMode(on) {
+        this.bandageMode = on;
+        this._bandageFrom = null;
+        this.selected = null;
+        if (this._bandageButton) this._bandageButton.setAttribute('aria-pressed', String(on));
+    }
+
+    /** Bandage mode: the first click picks a piece, the second fuses or unfuses it with the first. */
+    _bandageClick(hit) {
+        const engine = this.engine;
+        const piece = hit && engine.puzzle.findPieceAt(engine.pieces, hit.m);
+        if (!piece) return;
+        if (!this._bandageFrom || this._bandageFrom === piece) {
+            this._bandageFrom = piece;
+            this.selected = hit;
+            return;
+        }
+        const from = this._bandageFrom;
+        this._bandageFrom = null;
+        this.selected = null;
+        try {
+            engine.toggleBandage(from, piece);
+            this._showAlgorithmError('');
+        } catch (err) {
+            this._showAlgorithmError(err.message);
+        }
+        if (this._input_bandages) this._input_bandages.value = engine.config.bandages;
+    }
+
+    /** Canvas pixel under a mouse or pointer event, allowing for CSS scaling of the canvas. */
+    _canvasPoint(canvas, e) {
+        const rect = canvas.getBoundingClientRect();
+        return [(e.clientX - rect.left) * (canvas.width / rect.width), (e.clientY - rect.top) * (canvas.height / rect.height)];
+    }
+
+    /**
+     * Follow a drag that started on a sticker. Its first TURN_START_PX pick the
+     * move as an arrow key in that direction would; from then on the layer
+     * turns with the pointer, as many steps either way as it is dragged.
+     * @returns {boolean} False if no layer turns that way, so the drag orbits instead
+     */
+    _dragTurn(px, py) {
+        const drag = this.turnDrag;
+        const { puzzle, pieces, renderer, config } = this.engine;
+        const dx = px - drag.x, dy = py - drag.y;
+        if (!drag.move) {
+            const len = Math.hypot(dx, dy);
+            if (len < TURN_START_PX) return true;
+            const piece = puzzle.findPieceAt(pieces, drag.hit.m);
+            drag.screenDir = [dx / len, dy / len];
+            drag.move = piece && puzzle.resolveArrowMove(piece, drag.hit.faceIndex, drag.screenDir,
+                renderer.viewYaw, renderer.viewPitch, config);
+            if (!drag.move) {
+                this.turnDrag = null;
+                return false;
+            }
+            drag.blocked = puzzle.isMoveBlocked(pieces, drag.move);
+        }
+        const along = dx * drag.screenDir[0] + dy * drag.screenDir[1];
+        drag.fraction = along / TURN_STEP_PX;
+        // A blocked layer stays put; releasing still queues it, so the refusal shows
+        this.turnPreview = drag.blocked ? null : { ...drag.move, dir: drag.move.dir * drag.fraction };
+        return true;
+    }
+
+    /** Drop a turn drag without turning, the layer back where it was. */
+    _cancelTurn() {
+        this.turnDrag = null;
+        this.turnPreview = null;
+    }
+
+    /** Distance in client pixels between the two pointers of a pinch. */
+    _pinchDistance() {
+        const [a, b] = [...this._pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    }
+
+    /**
+     * End a turn drag at the nearest whole step: the steps dragged through are
+     * queued done, the last one finishing from where the layer is. Short of
+     * halfway into the first step, the layer drops back.
+     */
+    _releaseTurn() {
+        const { move, fraction, blocked } = this.turnDrag;
+        this._cancelTurn();
+        const steps = Math.round(Math.abs(fraction));
+        if (!move || !steps) return;
+        const step = { ...move, dir: move.dir * Math.sign(fraction) };
+        // A blocked layer never moved; one refused turn shows why
+        if (blocked) {
+            this.engine.queueMove(step);
+            return;
+        }
+        for (let i = 1; i < steps; i++) this.engine.queueMove(step, 1);
+        this.engine.queueMove(step, Math.min(1, Math.abs(fraction) - (steps - 1)));
+    }
+
+    /** Display the currently animating move in notation form. */
+    showMove(move) {
+        if (!this._moveDisplay) return;
+        const puzzle = this.engine.puzzle;
+        this._moveDisplay.textContent = move && puzzle.hasNotation
+            ? (puzzle.formatMove(move, this.engine.config) ?? '')
+            : '';
+    }
+
+    _showAlgorithmError(message) {
+        if (this._algorithmError) this._algorithmError.textContent = message;
+    }
+
     _updateLayerDisplay() {
         if (this._layerDisplay) this._layerDisplay.textContent = `Layer: ${this.selectedDepth}`;
+        if (this._padDepth) this._padDepth.value = this.selectedDepth;
+    }
+
+    _setDepth(depth) {
+        this.selectedDepth = depth;
+        this.engine.config.selectedDepth = depth;
+        this._updateLayerDisplay();
+    }
+
+    /** Queue a base move (keyboard or move pad) at the selected depth. */
+    _baseMove(bm, reversed) {
+        const config = this.engine.config;
+        config.selectedDepth = this.selectedDepth;
+        this.engine.queueMove(this.engine.puzzle.resolveMove(bm, reversed, config));
     }
 
     _updateSpeed(delta) {
         const anim = this.engine.animation;
         anim.setSpeed(Math.max(SPEED_MIN, Math.min(SPEED_MAX, anim.moveDuration + delta)));
         if (this._speedSlider) this._speedSlider.value = speedToSlider(anim.moveDuration);
+        this.engine.dispatchEvent(new CustomEvent('speedchange'));
     }
 
     _onKeyDown(e) {
@@ -216,7 +588,21 @@ export class InputManager {
         const puzzle = engine.puzzle;
         const config = engine.config;
 
-        if (e.key === ' ') { e.preventDefault(); engine.scramble(); return; }
+        // Let text fields (algorithm box) and dropdowns (puzzle picker) receive their own keystrokes
+        if (e.target.matches?.('input[type="text"], input[type="number"], textarea, select')) return;
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS): undo / redo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) engine.redo(); else engine.undo();
+            return;
+        }
+
+        if (e.key === ' ') {
+            e.preventDefault();
+            if (engine.timer.enabled) engine.timer.startSolve(); else engine.scramble();
+            return;
+        }
         if (e.key === 'Escape') { this.selected = null; engine.reset(); return; }
 
         // Arrow keys: rotate selected sticker's layer
@@ -232,13 +618,12 @@ export class InputManager {
             const selPiece = puzzle.findPieceAt(engine.pieces, this.selected.m);
             if (!selPiece) return;
 
+            // 2D views that don't steer arrow keys leave them to the 3D view
+            const view2d = this.selected.from === '2d' ? engine.view2d : null;
             let move;
-            if (this.selected.from === '3d') {
-                move = puzzle.resolveArrowMove(
-                    selPiece, this.selected.faceIndex, screenDir,
-                    engine.renderer.viewYaw, engine.renderer.viewPitch, config
-                );
-            } else if (engine.view2d) {
+            if (view2d?.resolveArrowMove) {
+                move = view2d.resolveArrowMove(selPiece, this.selected, screenDir, config);
+            } else if (view2d?.computeArrowDirection) {
                 // 2D view arrow keys (cube trefoil view)
                 const fi = this.selected.faceIndex;
                 const faceAxis = this.selected.faceAxis;
@@ -254,8 +639,13 @@ export class InputManager {
                     }
                 }
                 move = { axis: bestAxis, layer: selPiece.m[bestAxis], dir: bestDir };
+            } else {
+                move = puzzle.resolveArrowMove(
+                    selPiece, this.selected.faceIndex, screenDir,
+                    engine.renderer.viewYaw, engine.renderer.viewPitch, config
+                );
             }
-            if (move) engine.animation.queueMove(move);
+            if (move) engine.queueMove(move);
             return;
         }
 
@@ -265,10 +655,7 @@ export class InputManager {
         // Number keys 0-9: set layer depth
         const num = parseInt(e.key);
         if (num >= 0 && num <= 9) {
-            const N = config.N || 3;
-            this.selectedDepth = Math.min(num, N);
-            config.selectedDepth = this.selectedDepth;
-            this._updateLayerDisplay();
+            this._setDepth(Math.min(num, config.N || 3));
             return;
         }
 
@@ -277,9 +664,7 @@ export class InputManager {
         const bm = puzzle.baseMoves[baseKey];
         if (bm) {
             e.preventDefault();
-            config.selectedDepth = this.selectedDepth;
-            const move = puzzle.resolveMove(bm, e.shiftKey, config);
-            engine.animation.queueMove(move);
+            this._baseMove(bm, e.shiftKey);
         }
     }
 }
@@ -0,0 +1,77 @@
+/**
+ * Linear undo/redo history of move descriptors.
+ * Moves are recorded in the order they are queued, so undoing always
+ * targets the most recent move even while earlier ones are still animating.
+ */
+export class MoveHistory {
+    constructor() {
+        this.done = [];
+        this.undone = [];
+        this.floor = 0;     // Moves below this index are locked against undo
+    }
+
+    /** Record a newly queued move. Invalidates the redo stack. */
+    record(move) {
+        this.done.push(move);
+        this.undone = [];
+    }
+
+    /**
+     * Step back one move.
+     * @returns {Object|null} The move to invert, or null if nothing to undo
+     */
+    undo() {
+        if (this.done.length <= this.floor) return null;
+        const move = this.done.pop();
+        this.undone.push(move);
+        return move;
+    }
+
+    /**
+     * Step forward one previously undone move.
+     * @returns {Object|null} The move to replay, or null if nothing to redo
+     */
+    redo() {
+        const move = this.undone.pop();
+        if (!move) return null;
+        this.done.push(move);
+        return move;
+    }
+
+    /**
+     * Forget a recorded move that could not be played (e.g. a bandaged
+     * cube refused it). Removes its most recent occurrence.
+     * @param {Object} move - The descriptor passed to record()
+     */
+    discard(move) {
+        for (const stack of [this.done, this.undone]) {
+            const i = stack.lastIndexOf(move);
+            if (i >= 0) {
+                stack.splice(i, 1);
+                if (stack === this.done && i < this.floor) this.floor--;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Keep the moves recorded so far (e.g. a timed solve's scramble) in
+     * the history but out of reach of undo.
+     */
+    lock() {
+        this.floor = this.done.length;
+        this.undone = [];
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+        this.floor = 0;
+    }
+
+    /** @returns {Array<Object>} Moves applied since the last clear, oldest first */
+    get moves() { return [...this.done]; }
+
+    get canUndo() { return this.done.length > this.floor; }
+    get canRedo() { return this.undone.length > 0; }
+}
@@ -1,60 +1,97 @@
 import { Renderer3D } from './Renderer3D.js';
 import { AnimationQueue } from './AnimationQueue.js';
 import { InputManager } from './InputManager.js';
+import { MoveHistory } from './MoveHistory.js';
+import { SolveTimer } from './SolveTimer.js';
+import { PuzzleState } from './PuzzleState.js';
+
+const BLOCKED_FLASH_MS = 600;
 
 /**
  * Core orchestrator. Owns the render loop and wires together
- * the renderer, animation queue, input manager, and puzzle definition.
+ * the renderer, animation queue, input manager, and puzzle state.
+ * The puzzle, config and pieces live in a headless PuzzleState.
+ *
+ * Events (dispatched as CustomEvent, payload in `detail`):
+ *   'queue'  — a move was queued by the user, an algorithm or a scramble: { move }
+ *   'move'   — a move finished animating and was applied: { move }
+ *   'solved' — the puzzle returned to a solved state after a scramble: { puzzle, moveCount }
+ *   'scramble' — a scramble was generated: { moves, text }
+ *   'statechange' — pieces were replaced or jumped without animation:
+ *                   { reason: 'load' | 'config' | 'reset' | 'import' | 'moves' }
+ *   'blocked'     — a queued move was dropped because the puzzle refused it
+ *                   (e.g. it would split a bandaged block): { move }
+ *   'viewchange'  — the camera was orbited by the user
+ *   'speedchange' — the user changed the animation speed
  */
-export class PuzzleEngine {
+export class PuzzleEngine extends EventTarget {
     constructor(canvas3d, canvas2d) {
+        super();
         this.canvas3d = canvas3d;
         this.canvas2d = canvas2d;
         this.renderer = new Renderer3D(canvas3d);
         this.animation = new AnimationQueue();
+        this.history = new MoveHistory();
         this.input = new InputManager(this);
+        this.timer = new SolveTimer(this);
 
-        this.puzzle = null;
-        this.pieces = [];
-        this.config = {};
+        this.state = null;
         this.view2d = null;
+        this._displayedMove = null;
+        this._blocked = null;       // { move, until } — refused move flashed by the renderer
+        this.scrambled = false;
+        this.scrambleText = null;   // Last scramble as shown to the user, until the session is cleared
+        this.startFacelets = null;  // Imported start state the history applies to (null = solved)
+        this._solvedIndicator = document.getElementById('solved-indicator');
     }
 
+    get puzzle() { return this.state?.puzzle ?? null; }
+    get config() { return this.state?.config ?? {}; }
+    get pieces() { return this.state?.pieces ?? []; }
+
     /**
      * Load a puzzle definition. Creates pieces, sets up 2D view if available.
      */
     loadPuzzle(puzzle, config) {
-        this.puzzle = puzzle;
-        this.config = config || { ...puzzle.defaultConfig };
-        puzzle.onConfigChange(this.config);
-        this.pieces = puzzle.createPieces(this.config);
+        this.state = new PuzzleState(puzzle, config);
+        puzzle.updateFaceImages(this.config);
+        this._clearSession();
 
         // Set puzzle-specific camera orientation
         const angles = puzzle.defaultViewAngles;
         this.renderer.viewYaw = angles.yaw;
         this.renderer.viewPitch = angles.pitch;
-        this.animation.clear();
-        this.input.selected = null;
         this.input.selectedDepth = 1;
         this.config.selectedDepth = 1;
 
-        // 2D view
-        if (puzzle.has2DView && this.canvas2d) {
-            this.view2d = puzzle.create2DView(this.canvas2d);
-            this.view2d.updateScaling(this.config);
-            this.canvas2d.parentElement.style.display = '';
-        } else {
-            this.view2d = null;
-            if (this.canvas2d) this.canvas2d.parentElement.style.display = 'none';
-        }
+        this._setup2DView();
 
         // Set up dynamic UI
         this.input.setupConfigUI(puzzle, this.config);
         this.input.setupControlsDisplay(puzzle);
+        this.input.setupMovePad(puzzle, this.config);
+        this.input.setupNotationUI(puzzle);
+        this.input.setupSolverUI(puzzle, this.config);
+        this.input.setupBandageUI(puzzle);
 
         // Update page title
         const titleEl = document.getElementById('puzzle-title');
         if (titleEl) titleEl.textContent = puzzle.name;
+
+        this._emitStateChange('load');
+    }
+
+    /** Create the puzzle's 2D view for the current config, or hide its panel. */
+    _setup2DView() {
+        const puzzle = this.puzzle;
+        if (puzzle.has2DView && this.canvas2d) {
+            this.view2d = puzzle.create2DView(this.canvas2d, this.config);
+            this.view2d.updateScaling(this.config);
+            this.canvas2d.parentElement.style.display = '';
+        } else {
+            this.view2d = null;
+            if (this.canvas2d) this.canvas2d.parentElement.style.display = 'none';
+        }
     }
 
     /** Called by InputManager when a config parameter changes. */
@@ -62,39 +99,225 @@ export class PuzzleEngine {
         const puzzle = this.puzzle;
         const config = this.config;
 
-        // Reload face images if needed
-        if (key === 'imageMode' && config.imageMode) {
-            puzzle._loadFaceImages?.(config.N);
-        }
-
-        // Rebuild pieces for structural changes
-        if (key === 'N' || key === 'borderWidth') {
-            this.pieces = puzzle.createPieces(config);
-            this.animation.clear();
-            this.input.selected = null;
+        // Rebuild pieces for structural changes (sizes, borders, bandaging)
+        const param = puzzle.configParams.find(p => p.key === key);
+        if (param && param.type !== 'checkbox' && param.type !== 'select') {
+            this.state.reset();
+            this._clearSession();
             this.input.selectedDepth = 1;
             config.selectedDepth = 1;
-            if (this.view2d) this.view2d.updateScaling(config);
-            if (config.imageMode && puzzle._loadFaceImages) {
-                puzzle._loadFaceImages(config.N);
-            }
+            this.input.setupSolverUI(puzzle, config);
+            this.input.setupMovePad(puzzle, config);
         }
+        if (key === 'imageMode' || key === 'N') puzzle.updateFaceImages(config);
+        this._setup2DView();
+        this._emitStateChange('config');
+    }
+
+    /**
+     * Fuse or unfuse the cubies under two stickers and rebuild the puzzle.
+     * Throws if the puzzle has no bandaging or the pieces cannot be bonded.
+     * @param {Object} a - Piece
+     * @param {Object} b - Piece
+     */
+    toggleBandage(a, b) {
+        const { puzzle, config } = this;
+        if (!puzzle.hasBandaging) throw new Error(`${puzzle.name} cannot be bandaged`);
+        puzzle.toggleBandage(a, b, config);
+        puzzle.onConfigChange(config);
+        this.onConfigChange('bandages');
+    }
+
+    /**
+     * Queue a move for animation and record it in the undo history.
+     * @param {Object} move
+     * @param {number} [from=0] - Fraction of the turn already shown by a drag
+     */
+    queueMove(move, from = 0) {
+        this.history.record(move);
+        this.animation.queueMove(move, from);
+        this.dispatchEvent(new CustomEvent('queue', { detail: { move } }));
+    }
+
+    /** Animate the inverse of the most recent move. */
+    undo() {
+        const move = this.history.undo();
+        if (move) this.animation.queueMove(this.puzzle.invertMove(move));
+    }
+
+    /** Replay the most recently undone move. */
+    redo() {
+        const move = this.history.redo();
+        if (move) this.animation.queueMove(move);
     }
 
     reset() {
+        this.state.reset();
+        this._clearSession();
+        this._emitStateChange('reset');
+    }
+
+    /**
+     * Apply moves immediately (no animation), recording them in the history.
+     * @param {Array<Object>} moves
+     */
+    applyMoves(moves) {
+        try {
+            // Record as applied, so a refused move leaves history matching the pieces
+            for (const move of moves) {
+                this.state.applyMoves([move]);
+                this.history.record(move);
+            }
+        } finally {
+            if (moves.length) this._emitStateChange('moves');
+        }
+    }
+
+    /** After the pieces were replaced: drop queued moves, history and selection. */
+    _clearSession() {
         this.animation.clear();
-        this.pieces = this.puzzle.createPieces(this.config);
+        this.history.clear();
+        this._blocked = null;
+        this._setScrambled(false);
+        this.scrambleText = null;
+        this.timer.abort();
+        this.startFacelets = null;
         this.input.selected = null;
     }
 
-    scramble() {
-        const moves = this.puzzle.generateScramble(this.config);
-        for (const move of moves) this.animation.queueMove(move);
+    _emitStateChange(reason) {
+        this.dispatchEvent(new CustomEvent('statechange', { detail: { reason } }));
+    }
+
+    /**
+     * Scramble the puzzle.
+     * @param {boolean} [instant=false] - Apply immediately instead of animating (timed solves)
+     * @returns {Array<Object>} The scramble moves
+     */
+    scramble(instant = false) {
+        // Plan from where queued moves will leave the puzzle, so a bandaged one stays legal
+        const moves = this.puzzle.generateScramble(this.config, this._piecesAfterQueue());
+        if (instant) {
+            this.applyMoves(moves);
+        } else {
+            for (const move of moves) this.queueMove(move);
+        }
+        this._setScrambled(true);
+        this.scrambleText = this.puzzle.formatScramble(moves, this.config);
+        this.dispatchEvent(new CustomEvent('scramble', { detail: { moves, text: this.scrambleText } }));
+        return moves;
+    }
+
+    /** The pieces as the animation queue will leave them: a copy if moves are pending. */
+    _piecesAfterQueue() {
+        const { animation, puzzle } = this;
+        if (!animation.isAnimating) return this.pieces;
+        const { pieces } = this.state.clone();
+        const pending = [animation.current, ...animation.queue.map(entry => entry.move)].filter(Boolean);
+        for (const move of pending) {
+            if (!puzzle.isMoveBlocked(pieces, move)) puzzle.applyRotation(pieces, move);
+        }
+        return pieces;
+    }
+
+    /** Whether the current piece state is solved. */
+    isSolved() {
+        return this.state.isSolved();
+    }
+
+    /**
+     * Called once per applied move. Checks for a solve when the queue has
+     * drained, so intermediate states of a queued sequence are ignored.
+     */
+    _onMoveApplied(move) {
+        this.dispatchEvent(new CustomEvent('move', { detail: { move } }));
+        if (this._solvedIndicator && !this._solvedIndicator.hidden && !this.isSolved()) {
+            this._solvedIndicator.hidden = true;
+        }
+        if (!this.scrambled || this.animation.isAnimating) return;
+        if (!this.isSolved()) return;
+        this._setScrambled(false);
+        if (this._solvedIndicator) this._solvedIndicator.hidden = false;
+        this.dispatchEvent(new CustomEvent('solved', {
+            detail: { puzzle: this.puzzle, moveCount: this.history.moves.length },
+        }));
+    }
+
+    /** A queued move was refused: drop it from history and flash it. */
+    _onMoveBlocked(move, time) {
+        this.history.discard(move);
+        this._blocked = { move, until: time + BLOCKED_FLASH_MS };
+        this.dispatchEvent(new CustomEvent('blocked', { detail: { move } }));
+    }
+
+    _setScrambled(scrambled) {
+        this.scrambled = scrambled;
+        if (this._solvedIndicator) this._solvedIndicator.hidden = true;
+    }
+
+    /** Current state as the puzzle's facelet string (moves still animating are not included). */
+    exportFacelets() {
+        return this.puzzle.toFacelets(this.pieces, this.config);
+    }
+
+    /**
+     * Replace the current state with one described by a facelet string.
+     * Throws, leaving the state untouched, if the string is rejected.
+     * History is cleared: the imported state cannot be undone past.
+     * @param {string} text
+     */
+    importFacelets(text) {
+        const pieces = this.puzzle.fromFacelets(text, this.config);
+        this.state.pieces = pieces;
+        this._clearSession();
+        this.startFacelets = this.exportFacelets();
+        this._setScrambled(!this.isSolved());
+        this._emitStateChange('import');
+    }
+
+    /**
+     * Ask the puzzle's solver for a solution and queue it. The result is
+     * discarded if the state changed while the solver was running.
+     * @returns {Promise<Array<Object>>} The queued moves
+     */
+    async solve() {
+        const { puzzle, config, pieces, history } = this;
+        if (!puzzle.canSolve(config)) throw new Error(`No solver for ${puzzle.name} in this configuration`);
+        if (this.animation.isAnimating) throw new Error('Wait for the current moves to finish');
+        const doneBefore = history.done.length;
+        const lastBefore = history.done[doneBefore - 1];
+        const moves = await puzzle.solve(pieces, config);
+        if (this.pieces !== pieces || history.done.length !== doneBefore
+            || history.done[doneBefore - 1] !== lastBefore) {
+            throw new Error('Puzzle changed while solving');
+        }
+        for (const move of moves) this.queueMove(move);
+        return moves;
+    }
+
+    /**
+     * Parse an algorithm in the puzzle's notation and queue its moves.
+     * Throws if the puzzle has no notation or a token is not recognized.
+     * @param {string} text
+     * @returns {Array<Object>} The queued move descriptors
+     */
+    applyAlgorithm(text) {
+        if (!this.puzzle.hasNotation) throw new Error(`${this.puzzle.name} has no move notation`);
+        const moves = this.puzzle.parseAlgorithm(text, this.config);
+        for (const move of moves) this.queueMove(move);
+        return moves;
     }
 
     /** Main render loop — call once, runs via requestAnimationFrame. */
     _frame(time) {
-        const { current: move, progress } = this.animation.update(time, this.puzzle, this.pieces);
+        const { current: move, progress, applied, blocked } = this.animation.update(time, this.puzzle, this.pieces);
+        if (applied) this._onMoveApplied(applied);
+        for (const refused of blocked) this._onMoveBlocked(refused, time);
+        this.timer.update(time);
+        if (move !== this._displayedMove) {
+            this._displayedMove = move;
+            this.input.showMove(move);
+        }
 
         // 2D view
         if (this.view2d) {
@@ -102,14 +325,18 @@ export class PuzzleEngine {
             this.view2d.drawSelectionHighlight(this.input.selected, this.pieces, this.config);
         }
 
-        // 3D view
-        this.renderer.render(this.puzzle, this.pieces, move, progress, this.config, this.input.selected);
+        // 3D view, with a layer being dragged shown where the pointer has turned it
+        if (this._blocked && time >= this._blocked.until) this._blocked = null;
+        const dragged = move ? null : this.input.turnPreview;
+        this.renderer.render(this.puzzle, this.pieces, dragged ?? move, dragged ? 1 : progress, this.config,
+            this.input.selected, this._blocked?.move ?? null);
 
         requestAnimationFrame(t => this._frame(t));
     }
 
     start() {
         this.input.bind(this.canvas3d, this.canvas2d);
+        this.timer.bind();
         requestAnimationFrame(t => this._frame(t));
     }
 }
@@ -0,0 +1,143 @@
+/**
+ * Headless puzzle state: a puzzle definition, its config and the current
+ * pieces. No DOM, canvas or animation — usable from Node for scripting
+ * scrambles, checking algorithms and batch analysis. PuzzleEngine keeps
+ * one of these as its live state.
+ *
+ *   const state = new PuzzleState(new CubePuzzle(), { N: 3 });
+ *   state.applyAlgorithm("R U R' U'");
+ *   state.isSolved();   // false
+ */
+export class PuzzleState {
+    /**
+     * @param {PuzzleDefinition} puzzle
+     * @param {Object} [config] - Kept by reference; missing keys are filled in
+     *   from puzzle.defaultConfig, derived ones by onConfigChange
+     */
+    constructor(puzzle, config) {
+        this.puzzle = puzzle;
+        this.config = config || { ...puzzle.defaultConfig };
+        for (const [key, value] of Object.entries(puzzle.defaultConfig)) {
+            if (this.config[key] === undefined) this.config[key] = value;
+        }
+        puzzle.onConfigChange(this.config);
+        this.pieces = puzzle.createPieces(this.config);
+    }
+
+    // ── Moves ────────────────────────────────────────────────
+
+    /** Return to the solved state. */
+    reset() {
+        this.pieces = this.puzzle.createPieces(this.config);
+    }
+
+    /**
+     * Apply moves immediately.
+     * @param {Array<Object>} moves - Move descriptors
+     * @returns {PuzzleState} this
+     */
+    applyMoves(moves) {
+        for (const move of moves) this.puzzle.applyRotation(this.pieces, move);
+        return this;
+    }
+
+    /**
+     * Parse an algorithm in the puzzle's notation and apply it.
+     * Throws if the puzzle has no notation or a token is not recognized.
+     * @param {string} text
+     * @returns {Array<Object>} The applied moves
+     */
+    applyAlgorithm(text) {
+        if (!this.puzzle.hasNotation) throw new Error(`${this.puzzle.name} has no move notation`);
+        const moves = this.puzzle.parseAlgorithm(text, this.config);
+        this.applyMoves(moves);
+        return moves;
+    }
+
+    /**
+     * Apply a random scramble from the puzzle's generator.
+     * @returns {Array<Object>} The scramble moves
+     */
+    scramble() {
+        const moves = this.puzzle.generateScramble(this.config, this.pieces);
+        this.applyMoves(moves);
+        return moves;
+    }
+
+    // ── Comparison ───────────────────────────────────────────
+
+    isSolved() {
+        return this.puzzle.isSolved(this.pieces, this.config);
+    }
+
+    /**
+     * Canonical description of what the puzzle shows: for every sticker, the
+     * position of its piece, the world face it points at and its color.
+     * Interchangeable pieces (same colors) give the same signature.
+     * @returns {string}
+     */
+    signature() {
+        const { puzzle, config } = this;
+        const entries = [];
+        for (const piece of this.pieces) {
+            // Rounded to 1/1000 (and -0 folded into 0) to absorb float drift
+            const pos = piece.m.map(c => Math.round(c * 1000) || 0).join(',');
+            puzzle.faceDefs.forEach((def, slot) => {
+                const sticker = piece.stickers[slot];
+                if (!sticker) return;
+                const face = puzzle.detectWorldFace(piece, def.idx.map(k => piece.p[k]), config);
+                entries.push(`${pos}/${face}=${sticker.faceId}`);
+            });
+        }
+        return entries.sort().join(';');
+    }
+
+    /**
+     * Whether two states of the same puzzle and size look identical.
+     * Orientation matters: a whole-puzzle rotation is a different state.
+     * @param {PuzzleState} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return this.puzzle.id === other.puzzle.id && this.signature() === other.signature();
+    }
+
+    /** @returns {PuzzleState} Independent copy sharing the puzzle definition */
+    clone() {
+        const copy = Object.create(PuzzleState.prototype);
+        copy.puzzle = this.puzzle;
+        copy.config = { ...this.config };
+        copy.pieces = structuredClone(this.pieces);
+        return copy;
+    }
+
+    // ── Serialization ────────────────────────────────────────
+
+    /**
+     * Plain-data form: puzzle id, the user-facing config and the pieces.
+     * @returns {{ puzzle: string, config: Object, pieces: Array<Object> }}
+     */
+    toJSON() {
+        const config = {};
+        for (const param of this.puzzle.configParams) config[param.key] = this.config[param.key];
+        return { puzzle: this.puzzle.id, config, pieces: this.pieces };
+    }
+
+    /**
+     * Rebuild a state from toJSON output.
+     * @param {Object} data
+     * @param {PuzzleDefinition} puzzle - Instance of the puzzle named by data.puzzle
+     * @returns {PuzzleState}
+     */
+    static fromJSON(data, puzzle) {
+        if (data.puzzle !== puzzle.id) {
+            throw new Error(`State is for "${data.puzzle}", not "${puzzle.id}"`);
+        }
+        const state = new PuzzleState(puzzle, { ...data.config });
+        if (!Array.isArray(data.pieces) || data.pieces.length !== state.pieces.length) {
+            throw new Error(`Expected ${state.pieces.length} pieces`);
+        }
+        state.pieces = structuredClone(data.pieces);
+        return state;
+    }
+}
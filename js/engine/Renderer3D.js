@@ -15,6 +15,7 @@ export class Renderer3D {
         this.CY = this.H / 2;
         this.viewYaw = 0.6;
         this.viewPitch = -0.7;
+        this.zoom = 1;              // Scale on top of the puzzle's spacing (pinch zoom)
         this.lastRenderedFaces = [];
     }
 
@@ -26,14 +27,15 @@ export class Renderer3D {
      * @param {number} progress - Raw animation progress 0..1
      * @param {Object} config
      * @param {Object|null} selected - Current selection { faceIndex, m }
+     * @param {Object|null} [blocked] - A refused move to outline in red
      */
-    render(puzzle, pieces, move, progress, config, selected) {
+    render(puzzle, pieces, move, progress, config, selected, blocked = null) {
         const ctx = this.ctx;
         ctx.fillStyle = '#fff';
         ctx.fillRect(0, 0, this.W, this.H);
 
         const allFaces = [];
-        const spacing = puzzle.getSpacing(config);
+        const spacing = puzzle.getSpacing(config) * this.zoom;
         const faceDefs = puzzle.faceDefs;
         const vertsPerFace = puzzle.vertsPerFace;
         const moveAngle = puzzle.moveAngle;
@@ -106,6 +108,22 @@ export class Renderer3D {
             ctx.stroke();
         }
 
+        if (puzzle.hasBandaging) this._drawBandages(ctx, puzzle, allFaces);
+
+        // Outline the layers of a refused move
+        if (blocked) {
+            ctx.strokeStyle = '#e00';
+            ctx.lineWidth = 3;
+            for (const f of allFaces) {
+                if (f.faceIndex < 0 || !puzzle.isPieceInMove(f.piece, blocked)) continue;
+                ctx.beginPath();
+                ctx.moveTo(f.verts[0].x, f.verts[0].y);
+                for (let i = 1; i < vertsPerFace; i++) ctx.lineTo(f.verts[i].x, f.verts[i].y);
+                ctx.closePath();
+                ctx.stroke();
+            }
+        }
+
         // Highlight selected face
         if (selected) {
             const selPiece = puzzle.findPieceAt(pieces, selected.m);
@@ -127,6 +145,36 @@ export class Renderer3D {
         }
     }
 
+    /** Link neighbouring stickers of fused pieces with a bar across their shared edge. */
+    _drawBandages(ctx, puzzle, faces) {
+        const byFace = new Map();
+        for (const f of faces) {
+            if (f.faceIndex < 0) continue;
+            if (!byFace.has(f.faceIndex)) byFace.set(f.faceIndex, []);
+            byFace.get(f.faceIndex).push(f);
+        }
+        const center = (f) => ({
+            x: f.verts.reduce((s, v) => s + v.x, 0) / f.verts.length,
+            y: f.verts.reduce((s, v) => s + v.y, 0) / f.verts.length,
+        });
+        ctx.strokeStyle = '#111';
+        ctx.lineWidth = 5;
+        ctx.lineCap = 'round';
+        for (const group of byFace.values()) {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    if (!puzzle.areFused(group[i].piece, group[j].piece)) continue;
+                    const a = center(group[i]), b = center(group[j]);
+                    ctx.beginPath();
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    ctx.stroke();
+                }
+            }
+        }
+        ctx.lineCap = 'butt';
+    }
+
     /**
      * Hit-test: given canvas coords, find which sticker face was clicked.
      * @returns {{ piece, faceIndex, faceAxis }|null}
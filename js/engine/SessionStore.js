@@ -0,0 +1,121 @@
+import { captureSnapshot, restoreSnapshot, pickConfig, sanitizeConfig } from './snapshot.js';
+
+const STORAGE_KEY = 'puzzle-visualizer:session';
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades for saved data: MIGRATIONS[n] turns a version-n payload into
+ * version n + 1. Payloads older than the oldest migration, or from a newer
+ * build, are discarded.
+ */
+export const MIGRATIONS = {};
+
+/**
+ * Persists the session to localStorage so a reload picks up where the user
+ * left off: active puzzle and its state, each puzzle's config, camera and
+ * animation speed.
+ *
+ * Stored shape (version 1):
+ *   { version, current: snapshot, configs: { [puzzleId]: config }, moveDuration }
+ */
+export class SessionStore {
+    /**
+     * @param {PuzzleEngine} engine
+     * @param {Object<string, Function>} puzzles - Registry: id → factory
+     * @param {Storage} [storage=localStorage]
+     */
+    constructor(engine, puzzles, storage = globalThis.localStorage) {
+        this.engine = engine;
+        this.puzzles = puzzles;
+        this.storage = storage;
+        this.configs = {};
+        this._saveTimer = null;
+    }
+
+    /**
+     * Read and migrate saved data.
+     * @returns {Object|null} Current-version data, or null if none or unusable
+     */
+    load() {
+        let data;
+        try {
+            data = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+        } catch {
+            data = null;
+        }
+        if (!data || typeof data.version !== 'number') return null;
+        while (data.version < SCHEMA_VERSION && MIGRATIONS[data.version]) {
+            data = MIGRATIONS[data.version](data);
+        }
+        if (data.version !== SCHEMA_VERSION) {
+            this.clear();
+            return null;
+        }
+        return data;
+    }
+
+    /**
+     * Restore speed, per-puzzle configs and the last active puzzle.
+     * @param {Object} [options]
+     * @param {boolean} [options.puzzle=true] - Also restore the active puzzle and its state
+     * @returns {boolean} Whether a puzzle was restored
+     */
+    restore({ puzzle = true } = {}) {
+        const data = this.load();
+        if (!data) return false;
+        this.configs = data.configs || {};
+        if (Number.isFinite(data.moveDuration)) this.engine.animation.setSpeed(data.moveDuration);
+        return puzzle && restoreSnapshot(this.engine, this.puzzles, data.current);
+    }
+
+    /**
+     * Saved config for a puzzle, merged over its defaults.
+     * @param {PuzzleDefinition} puzzle
+     * @returns {Object}
+     */
+    configFor(puzzle) {
+        return sanitizeConfig(puzzle, this.configs[puzzle.id]);
+    }
+
+    /** Save on every state, camera or speed change (debounced) and when the page is hidden. */
+    bind() {
+        const schedule = () => this._scheduleSave();
+        const engine = this.engine;
+        engine.addEventListener('statechange', schedule);
+        engine.addEventListener('move', schedule);
+        engine.addEventListener('viewchange', schedule);
+        engine.addEventListener('speedchange', schedule);
+        window.addEventListener('pagehide', () => this.save());
+    }
+
+    save() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        const engine = this.engine;
+        this.configs[engine.puzzle.id] = pickConfig(engine.puzzle, engine.config);
+        const data = {
+            version: SCHEMA_VERSION,
+            current: captureSnapshot(engine),
+            configs: this.configs,
+            moveDuration: engine.animation.moveDuration,
+        };
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch {
+            // Storage full or unavailable (private mode); the session just isn't kept
+        }
+    }
+
+    clear() {
+        try {
+            this.storage?.removeItem(STORAGE_KEY);
+        } catch {
+            // Storage unavailable (private mode); nothing to clear
+        }
+    }
+
+    _scheduleSave() {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => this.save(), 500);
+    }
+}
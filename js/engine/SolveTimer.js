@@ -0,0 +1,153 @@
+import { effectiveTime, bestTime, meanTime, averageOf, formatTime } from './stats.js';
+
+const INSPECTION_MS = 15000;      // WCA inspection time
+const INSPECTION_DNF_MS = 17000;  // Past this without starting: DNF
+
+/**
+ * Speedcubing timer. In timed mode a solve runs:
+ *   scramble (applied instantly) → 15 s inspection → first turn starts
+ *   the clock → 'solved' event from the engine stops it.
+ * Results are kept per puzzle id + structural config as a session.
+ */
+export class SolveTimer {
+    constructor(engine) {
+        this.engine = engine;
+        this.enabled = false;
+        this.state = 'idle';            // 'idle' | 'inspecting' | 'running' | 'done'
+        this.sessions = {};             // session key → [{ scramble, time, penalty, date }]
+        this.scramble = null;
+        this.inspectionStart = 0;
+        this.inspectionPenalty = null;
+        this.solveStart = 0;
+    }
+
+    bind() {
+        this._modeToggle = document.getElementById('timer-mode');
+        this._display = document.getElementById('timer-display');
+        this._statsText = document.getElementById('timer-stats');
+
+        if (this._modeToggle) {
+            this._modeToggle.checked = this.enabled;
+            this._modeToggle.addEventListener('change', () => {
+                this.enabled = this._modeToggle.checked;
+                this.abort();
+            });
+        }
+        document.getElementById('timer-plus2')?.addEventListener('click', () => this.togglePenalty('+2'));
+        document.getElementById('timer-dnf')?.addEventListener('click', () => this.togglePenalty('DNF'));
+
+        this.engine.addEventListener('queue', () => this._onTurn());
+        this.engine.addEventListener('solved', () => this._onSolved());
+        this._render();
+    }
+
+    /** Session key: puzzle id plus its numeric (structural) config values. */
+    get sessionKey() {
+        const { puzzle, config } = this.engine;
+        const parts = puzzle.configParams
+            .filter(p => p.type === 'number')
+            .map(p => `${p.key}=${config[p.key]}`);
+        return [puzzle.id, ...parts].join(' ');
+    }
+
+    /** @returns {Array<Object>} Solves recorded for the current puzzle and config */
+    get session() {
+        const key = this.sessionKey;
+        if (!this.sessions[key]) this.sessions[key] = [];
+        return this.sessions[key];
+    }
+
+    /** Reset the puzzle, apply a fresh scramble and begin inspection. */
+    startSolve() {
+        const engine = this.engine;
+        engine.reset();
+        engine.scramble(true);
+        // Undo must not walk back through the scramble without starting the clock
+        engine.history.lock();
+        this.scramble = engine.scrambleText;
+        this.state = 'inspecting';
+        this.inspectionStart = performance.now();
+        this.inspectionPenalty = null;
+        this._render();
+    }
+
+    /** Abandon an in-progress solve without recording it. */
+    abort() {
+        if (this.state === 'inspecting' || this.state === 'running') {
+            this.state = 'idle';
+            this.scramble = null;
+        }
+        this._render();
+    }
+
+    /** Toggle a penalty on the most recent solve of the current session. */
+    togglePenalty(penalty) {
+        const last = this.session[this.session.length - 1];
+        if (!last || this.state === 'inspecting' || this.state === 'running') return;
+        last.penalty = last.penalty === penalty ? null : penalty;
+        this._render();
+    }
+
+    /** Per-frame tick: refresh the clock and enforce the inspection limit. */
+    update(time) {
+        if (this.state === 'inspecting' && time - this.inspectionStart > INSPECTION_DNF_MS) {
+            this._record(0, 'DNF');
+            return;
+        }
+        if (this.state === 'inspecting' || this.state === 'running') this._renderClock(time);
+    }
+
+    _onTurn() {
+        if (this.state !== 'inspecting') return;
+        const now = performance.now();
+        this.inspectionPenalty = now - this.inspectionStart > INSPECTION_MS ? '+2' : null;
+        this.state = 'running';
+        this.solveStart = now;
+    }
+
+    _onSolved() {
+        if (this.state !== 'running') return;
+        this._record(performance.now() - this.solveStart, this.inspectionPenalty);
+    }
+
+    _record(time, penalty) {
+        this.session.push({ scramble: this.scramble, time, penalty, date: Date.now() });
+        this.state = 'done';
+        this._render();
+    }
+
+    _renderClock(time) {
+        if (!this._display) return;
+        if (this.state === 'inspecting') {
+            const elapsed = time - this.inspectionStart;
+            this._display.textContent = elapsed > INSPECTION_MS
+                ? '+2'
+                : String(Math.ceil((INSPECTION_MS - elapsed) / 1000));
+        } else {
+            this._display.textContent = formatTime(time - this.solveStart);
+        }
+    }
+
+    _render() {
+        const panelVisible = this.enabled;
+        if (this._display) {
+            const last = this.session[this.session.length - 1];
+            if (!panelVisible) this._display.textContent = '';
+            else if (this.state === 'done' && last) {
+                const suffix = last.penalty === '+2' ? '+' : '';
+                this._display.textContent = formatTime(effectiveTime(last)) + suffix;
+            } else if (this.state === 'idle') this._display.textContent = formatTime(0);
+        }
+        if (this._statsText) {
+            const s = this.session;
+            this._statsText.textContent = panelVisible ? [
+                `solves ${s.length}`,
+                `best ${formatTime(bestTime(s))}`,
+                `mean ${formatTime(meanTime(s))}`,
+                `ao5 ${formatTime(averageOf(s, 5))}`,
+                `ao12 ${formatTime(averageOf(s, 12))}`,
+                `ao100 ${formatTime(averageOf(s, 100))}`,
+            ].join(' · ') : '';
+        }
+    }
+}
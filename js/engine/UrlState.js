@@ -0,0 +1,100 @@
+import { captureSnapshot, restoreSnapshot } from './snapshot.js';
+
+/**
+ * Mirrors the engine state in the URL hash so a link reproduces it:
+ *   #puzzle=cube&N=5&borderWidth=2&imageMode=0&moves=R+U+R'&yaw=0.600&pitch=-0.700
+ * plus `start=<facelets>` when the moves apply to an imported state.
+ *
+ * Moves and config changes push a browser history entry (so Back walks
+ * through them); camera orbits replace the current entry.
+ */
+export class UrlState {
+    /**
+     * @param {PuzzleEngine} engine
+     * @param {Object<string, Function>} puzzles - Registry: id → factory
+     */
+    constructor(engine, puzzles) {
+        this.engine = engine;
+        this.puzzles = puzzles;
+        this._restoring = false;
+        this._pending = null;     // 'push' | 'replace' | null
+        this._lastHash = null;
+    }
+
+    /** Start listening to engine and browser navigation. Call after the initial restore. */
+    bind() {
+        const engine = this.engine;
+        engine.addEventListener('statechange', () => this._schedule('push'));
+        engine.addEventListener('move', () => {
+            if (!engine.animation.isAnimating) this._schedule('push');
+        });
+        engine.addEventListener('viewchange', () => this._schedule('replace'));
+        window.addEventListener('popstate', () => {
+            if (location.hash !== this._lastHash) this.restore(location.hash);
+        });
+        this._lastHash = this.encode();
+        history.replaceState(null, '', this._lastHash);
+    }
+
+    /** @returns {string} Hash (including "#") describing the current engine state */
+    encode() {
+        const snap = captureSnapshot(this.engine);
+        const params = new URLSearchParams();
+        params.set('puzzle', snap.puzzle);
+        for (const [key, value] of Object.entries(snap.config)) {
+            if (value === '') continue;
+            params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+        }
+        if (snap.start) params.set('start', snap.start);
+        if (snap.moves) params.set('moves', snap.moves);
+        params.set('yaw', snap.yaw.toFixed(3));
+        params.set('pitch', snap.pitch.toFixed(3));
+        return '#' + params.toString();
+    }
+
+    /**
+     * Rebuild the engine state from a hash. Unknown puzzles are rejected;
+     * malformed values fall back to defaults.
+     * @param {string} hash
+     * @returns {boolean} Whether the hash named a puzzle that was loaded
+     */
+    restore(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const snapshot = {
+            puzzle: params.get('puzzle'),
+            config: Object.fromEntries(params),
+            start: params.get('start'),
+            moves: params.get('moves'),
+            yaw: params.get('yaw') ?? undefined,
+            pitch: params.get('pitch') ?? undefined,
+        };
+        this._restoring = true;
+        let restored;
+        try {
+            restored = restoreSnapshot(this.engine, this.puzzles, snapshot);
+        } finally {
+            this._restoring = false;
+        }
+        if (restored) this._lastHash = this.encode();
+        return restored;
+    }
+
+    /** Coalesce bursts of events (e.g. reset + scramble) into one history update. */
+    _schedule(kind) {
+        if (this._restoring) return;
+        if (this._pending === 'push') return;
+        const first = this._pending === null;
+        this._pending = kind;
+        if (first) setTimeout(() => this._flush(), 0);
+    }
+
+    _flush() {
+        const kind = this._pending;
+        this._pending = null;
+        const hash = this.encode();
+        if (hash === this._lastHash) return;
+        this._lastHash = hash;
+        if (kind === 'push') history.pushState(null, '', hash);
+        else history.replaceState(null, '', hash);
+    }
+}
@@ -66,3 +66,8 @@ export function pointInConvexPolygon(px, py, poly) {
 export function ease(t) {
     return 0.5 - Math.cos(Math.min(t, 1) * Math.PI) / 2;
 }
+
+/** Inverse of ease: the progress at which the eased value reaches e (0..1). */
+export function easeInverse(e) {
+    return Math.acos(1 - 2 * e) / Math.PI;
+}
@@ -0,0 +1,67 @@
+/**
+ * Puzzle-agnostic algorithm tokenizer.
+ * Splits notation text into move tokens and expands parenthesized repeats,
+ * leaving the meaning of each token to the PuzzleDefinition.
+ */
+
+// Typographic primes pasted from web pages and documents
+const PRIME_VARIANTS = /[’′´`]/g;
+
+/**
+ * Tokenize an algorithm string into a flat list of move tokens.
+ * Whitespace and commas separate tokens; "(...)n" repeats a group n times.
+ *   tokenizeAlgorithm("(R U R' U')2 F") → ["R","U","R'","U'","R","U","R'","U'","F"]
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeAlgorithm(text) {
+    const src = text.replace(PRIME_VARIANTS, "'");
+    const stack = [[]];
+    let token = '';
+    let i = 0;
+
+    const flush = () => {
+        if (token) stack[stack.length - 1].push(token);
+        token = '';
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (ch === '(') {
+            flush();
+            stack.push([]);
+            i++;
+        } else if (ch === ')') {
+            flush();
+            if (stack.length < 2) throw new Error(`Unmatched ")" at position ${i + 1}`);
+            const group = stack.pop();
+            i++;
+            let digits = '';
+            while (i < src.length && /\d/.test(src[i])) digits += src[i++];
+            const count = digits ? parseInt(digits) : 1;
+            for (let k = 0; k < count; k++) stack[stack.length - 1].push(...group);
+        } else if (/[\s,]/.test(ch)) {
+            flush();
+            i++;
+        } else {
+            token += ch;
+            i++;
+        }
+    }
+    flush();
+    if (stack.length > 1) throw new Error('Unmatched "(" in algorithm');
+    return stack[0];
+}
+
+/**
+ * Parse a turn-amount suffix such as "", "'", "2", "2'" into signed quarter turns.
+ * A zero count ("R0") is not a turn: parseMove should treat it as unrecognized.
+ * @param {string} digits - Repeat count digits (may be empty)
+ * @param {string} prime - "'" or ""
+ * @returns {number|null} Signed turn count (e.g. 2, -1), or null for a zero count
+ */
+export function parseAmount(digits, prime) {
+    const n = digits ? parseInt(digits) : 1;
+    if (n === 0) return null;
+    return prime ? -n : n;
+}
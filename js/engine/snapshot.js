@@ -0,0 +1,134 @@
+/**
+ * Plain-data snapshot of what the user is looking at: puzzle, config,
+ * move history (plus imported start state) and camera. Shared by the
+ * URL hash and localStorage persistence layers.
+ *
+ *   { puzzle: 'cube', config: { N: 3, ... }, start: string|null,
+ *     moves: string|null, yaw: number, pitch: number }
+ */
+
+/**
+ * Capture the engine's current state.
+ * @param {PuzzleEngine} engine
+ * @returns {Object}
+ */
+export function captureSnapshot(engine) {
+    const { puzzle, config, renderer, history } = engine;
+    const moves = history.moves;
+    return {
+        puzzle: puzzle.id,
+        config: pickConfig(puzzle, config),
+        start: engine.startFacelets,
+        moves: moves.length ? puzzle.serializeMoves(moves, config) : null,
+        yaw: renderer.viewYaw,
+        pitch: renderer.viewPitch,
+    };
+}
+
+/**
+ * The user-facing config values (those listed in configParams).
+ * @returns {Object}
+ */
+export function pickConfig(puzzle, config) {
+    const out = {};
+    for (const param of puzzle.configParams) out[param.key] = config[param.key];
+    return out;
+}
+
+/**
+ * Build a full config from defaults plus saved values, coercing and clamping
+ * each value per its configParams entry. Accepts strings (URL) or typed values.
+ * @returns {Object}
+ */
+export function sanitizeConfig(puzzle, saved) {
+    const config = { ...puzzle.defaultConfig };
+    if (!saved) return config;
+    for (const param of puzzle.configParams) {
+        const raw = saved[param.key];
+        if (raw === undefined || raw === null) continue;
+        if (param.type === 'checkbox') {
+            config[param.key] = raw === true || raw === '1';
+        } else if (param.type === 'text') {
+            config[param.key] = String(raw);
+        } else if (param.type === 'select') {
+            if (param.options.some(o => o.value === raw)) config[param.key] = raw;
+        } else {
+            const n = parseInt(raw);
+            if (!Number.isNaN(n)) config[param.key] = Math.max(param.min, Math.min(param.max, n));
+        }
+    }
+    return config;
+}
+
+/**
+ * Load a snapshot into the engine. Unknown puzzles are rejected; a bad start
+ * state or move list is silently skipped, the move list as a whole.
+ * @param {PuzzleEngine} engine
+ * @param {Object<string, Function>} puzzles - Registry: id → factory
+ * @param {Object} snapshot
+ * @returns {boolean} Whether the snapshot's puzzle was loaded
+ */
+export function restoreSnapshot(engine, puzzles, snapshot) {
+    const factory = snapshot && puzzles[snapshot.puzzle];
+    if (!factory) return false;
+
+    const puzzle = factory();
+    engine.loadPuzzle(puzzle, sanitizeConfig(puzzle, snapshot.config));
+
+    if (snapshot.start) {
+        try {
+            engine.importFacelets(snapshot.start);
+        } catch {
+            // Not a valid state for this puzzle any more; start from solved
+        }
+    }
+    if (snapshot.moves) {
+        let moves = null;
+        try {
+            moves = puzzle.deserializeMoves(snapshot.moves, engine.config);
+        } catch {
+            // Moves that no longer parse; start from the (imported) state
+        }
+        if (moves && isPlayable(engine.state, moves)) {
+            engine.applyMoves(moves);
+            engine.scrambled = !engine.isSolved();
+        }
+    }
+
+    const yaw = Number(snapshot.yaw);
+    const pitch = Number(snapshot.pitch);
+    if (Number.isFinite(yaw)) engine.renderer.viewYaw = yaw;
+    if (Number.isFinite(pitch)) engine.renderer.viewPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch));
+    return true;
+}
+
+/** @returns {string} Sorted piece positions: which slots the pieces fill */
+function slots(pieces) {
+    return pieces.map(p => p.m.map(c => Math.round(c * 1000) || 0).join(',')).sort().join(';');
+}
+
+/**
+ * Whether moves read back from a URL or storage are real moves of this
+ * puzzle: played on a copy of the state, each turns some piece, none is
+ * blocked, and the pieces end up in the puzzle's slots. Moves stored as
+ * JSON are not checked by deserializeMoves, and a hand-edited one could
+ * otherwise leave pieces in no slot at all.
+ * @param {PuzzleState} state
+ * @param {Array<Object>} moves
+ * @returns {boolean}
+ */
+function isPlayable(state, moves) {
+    if (!Array.isArray(moves) || !moves.every(m => m && typeof m === 'object')) return false;
+    const { puzzle } = state;
+    const trial = state.clone();
+    const before = slots(trial.pieces);
+    try {
+        for (const move of moves) {
+            if (!trial.pieces.some(piece => puzzle.isPieceInMove(piece, move))) return false;
+            trial.applyMoves([move]);
+        }
+    } catch {
+        return false;
+    }
+    return slots(trial.pieces) === before;
+}
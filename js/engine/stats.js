@@ -0,0 +1,49 @@
+/**
+ * Solve statistics following WCA conventions.
+ * A solve is { time, penalty } where time is in ms and penalty is null, '+2' or 'DNF'.
+ * DNF results are represented as Infinity so they sort last.
+ */
+
+/** Time of a solve after applying its penalty (Infinity for DNF). */
+export function effectiveTime(solve) {
+    if (solve.penalty === 'DNF') return Infinity;
+    return solve.time + (solve.penalty === '+2' ? 2000 : 0);
+}
+
+/** Best single, or null if there are no finished solves. */
+export function bestTime(solves) {
+    const times = solves.map(effectiveTime).filter(Number.isFinite);
+    return times.length ? Math.min(...times) : null;
+}
+
+/** Mean of all finished solves (DNFs excluded), or null if none. */
+export function meanTime(solves) {
+    const times = solves.map(effectiveTime).filter(Number.isFinite);
+    return times.length ? times.reduce((s, t) => s + t, 0) / times.length : null;
+}
+
+/**
+ * Trimmed average of the last n solves ("aoN"): the best and worst 5%
+ * (at least one each) are dropped and the rest averaged.
+ * Returns null if fewer than n solves, Infinity if the average is a DNF.
+ */
+export function averageOf(solves, n) {
+    if (solves.length < n) return null;
+    const times = solves.slice(-n).map(effectiveTime).sort((a, b) => a - b);
+    const trim = Math.max(1, Math.ceil(n * 0.05));
+    const counted = times.slice(trim, n - trim);
+    if (counted.some(t => !Number.isFinite(t))) return Infinity;
+    return counted.reduce((s, t) => s + t, 0) / counted.length;
+}
+
+/** Format ms as "s.cc" or "m:ss.cc"; null → "–", Infinity → "DNF". */
+export function formatTime(ms) {
+    if (ms === null || ms === undefined) return '–';
+    if (!Number.isFinite(ms)) return 'DNF';
+    const cs = Math.floor(ms / 10);
+    const minutes = Math.floor(cs / 6000);
+    const seconds = Math.floor(cs / 100) % 60;
+    const frac = String(cs % 100).padStart(2, '0');
+    if (minutes > 0) return `${minutes}:${String(seconds).padStart(2, '0')}.${frac}`;
+    return `${seconds}.${frac}`;
+}
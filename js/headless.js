@@ -0,0 +1,39 @@
+/**
+ * Puzzle Visualizer — Headless Entry Point
+ * DOM-free API for Node scripts: create states, apply moves and algorithms,
+ * compare and serialize them.
+ *
+ *   import { createState } from './js/headless.js';
+ *   const state = createState('cube', { N: 4 });
+ *   const scramble = state.scramble();
+ *   console.log(state.puzzle.formatAlgorithm(scramble, state.config));
+ */
+import { PUZZLES } from './puzzles/registry.js';
+import { PuzzleState } from './engine/PuzzleState.js';
+
+export { PUZZLES, PuzzleState };
+
+/**
+ * Create a solved state for a registered puzzle.
+ * @param {string} id - Registry id, e.g. "cube"
+ * @param {Object} [config] - Overrides for the puzzle's defaultConfig
+ * @returns {PuzzleState}
+ */
+export function createState(id, config = {}) {
+    const factory = PUZZLES[id];
+    if (!factory) throw new Error(`Unknown puzzle "${id}"`);
+    const puzzle = factory();
+    return new PuzzleState(puzzle, { ...puzzle.defaultConfig, ...config });
+}
+
+/**
+ * Rebuild a state from PuzzleState#toJSON output (or its JSON string).
+ * @param {Object|string} data
+ * @returns {PuzzleState}
+ */
+export function loadState(data) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    const factory = PUZZLES[data?.puzzle];
+    if (!factory) throw new Error(`Unknown puzzle "${data?.puzzle}"`);
+    return PuzzleState.fromJSON(data, factory());
+}
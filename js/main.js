@@ -3,24 +3,24 @@
  * Loads the selected puzzle and starts the engine.
  */
 import { PuzzleEngine } from './engine/PuzzleEngine.js';
-import { CubePuzzle } from './puzzles/cube/CubePuzzle.js';
-import { PyraminxPuzzle } from './puzzles/pyraminx/PyraminxPuzzle.js';
-import { MegaminxPuzzle } from './puzzles/megaminx/MegaminxPuzzle.js';
-
-// Registry of available puzzles
-const PUZZLES = {
-    cube: () => new CubePuzzle(),
-    pyraminx: () => new PyraminxPuzzle(),
-    megaminx: () => new MegaminxPuzzle(),
-};
+import { UrlState } from './engine/UrlState.js';
+import { SessionStore } from './engine/SessionStore.js';
+import { PUZZLES } from './puzzles/registry.js';
 
 const canvas3d = document.getElementById('cube');
 const canvas2d = document.getElementById('trefoil');
 const engine = new PuzzleEngine(canvas3d, canvas2d);
 
-// Load default puzzle
-engine.loadPuzzle(PUZZLES.cube());
+// Restore puzzle, config, moves and camera: a shared link wins over the
+// saved session; with neither, load the default puzzle
+const urlState = new UrlState(engine, PUZZLES);
+const store = new SessionStore(engine, PUZZLES);
+const fromUrl = urlState.restore(location.hash);
+const fromSession = store.restore({ puzzle: !fromUrl });
+if (!fromUrl && !fromSession) engine.loadPuzzle(PUZZLES.cube());
 engine.start();
+urlState.bind();
+store.bind();
 
 // Puzzle selector
 const selector = document.getElementById('puzzle-select');
@@ -33,8 +33,14 @@ if (selector) {
         opt.textContent = puzzle.name;
         selector.appendChild(opt);
     }
+    selector.value = engine.puzzle.id;
+    engine.addEventListener('statechange', (e) => {
+        if (e.detail.reason === 'load') selector.value = engine.puzzle.id;
+    });
     selector.addEventListener('change', () => {
         const factory = PUZZLES[selector.value];
-        if (factory) engine.loadPuzzle(factory());
+        if (!factory) return;
+        const puzzle = factory();
+        engine.loadPuzzle(puzzle, store.configFor(puzzle));
     });
 }
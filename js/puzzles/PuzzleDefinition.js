@@ -1,6 +1,44 @@
+import { tokenizeAlgorithm } from '../engine/notation.js';
+import { worldToScreen } from '../engine/math.js';
+import { UnfoldedNetView } from './UnfoldedNetView.js';
+
 /** Global gap constant: fraction of fill from centroid to vertex (0.999 = 0.1% gap). */
 export const PIECE_GAP = 0.999;
 
+/**
+ * For resolveArrowMove overrides: the candidate turn that starts the
+ * selected sticker moving most nearly along screenDir. A turn by dir = +1
+ * moves a point p along axis × p, as Renderer3D animates it.
+ * @param {PuzzleDefinition} puzzle
+ * @param {Array<Object>} moves - Candidates, each with a unit `axis` vector and dir = 1
+ * @param {Object} piece
+ * @param {number} faceIndex - World face of the selected sticker
+ * @param {number[]} screenDir
+ * @param {number} viewYaw
+ * @param {number} viewPitch
+ * @param {Object} config
+ * @returns {Object|null} The best candidate, with dir -1 if the arrow points against it
+ */
+export function pickArrowMove(puzzle, moves, piece, faceIndex, screenDir, viewYaw, viewPitch, config) {
+    const slot = puzzle.faceDefs.findIndex((def, i) => piece.stickers[i] &&
+        puzzle.detectWorldFace(piece, def.idx.map(j => piece.p[j]), config) === faceIndex);
+    const verts = slot >= 0 ? puzzle.faceDefs[slot].idx.map(i => piece.p[i]) : [piece.m];
+    const p = [0, 1, 2].map(c => verts.reduce((s, v) => s + v[c], 0) / verts.length);
+
+    let best = null, bestDot = 0;
+    for (const move of moves) {
+        const [kx, ky, kz] = move.axis;
+        const [sx, sy] = worldToScreen(ky * p[2] - kz * p[1], kz * p[0] - kx * p[2], kx * p[1] - ky * p[0],
+            viewYaw, viewPitch);
+        const dot = sx * screenDir[0] + sy * screenDir[1];
+        if (Math.abs(dot) > bestDot) {
+            bestDot = Math.abs(dot);
+            best = { ...move, dir: dot > 0 ? 1 : -1 };
+        }
+    }
+    return best;
+}
+
 /**
  * Base class defining the interface contract for all puzzle types.
  * Extend this class and override the required methods to create a new puzzle.
@@ -12,8 +50,13 @@ export const PIECE_GAP = 0.999;
  *   getSpacing, detectWorldFace
  *
  * Optional overrides (have sensible defaults):
- *   innerColor, moveAngle, findPieceAt, isPieceInMove, isFrontFacing,
- *   has2DView, create2DView, defaultConfig, configParams, onConfigChange
+ *   innerColor, moveAngle, findPieceAt, isSolved, isPieceInMove, isMoveBlocked, blockedReason, isFrontFacing,
+ *   faceImages, updateFaceImages,
+ *   has2DView, create2DView, defaultConfig, configParams, onConfigChange,
+ *   hasNotation, parseMove, formatMove, formatScramble, serializeMoves, deserializeMoves,
+ *   invertMove, canSolve, solve,
+ *   hasFacelets, toFacelets, fromFacelets,
+ *   hasBandaging, toggleBandage, areFused
  */
 export class PuzzleDefinition {
 
@@ -65,13 +108,25 @@ export class PuzzleDefinition {
     applyRotation(pieces, move) { throw new Error('PuzzleDefinition.applyRotation not implemented'); }
 
     /**
-     * Determine the sticker color index for a given piece on a given face.
+     * Color of one of a piece's stickers, as the 2D views draw it.
+     * The sticker is named by its slot, an index into faceDefs and
+     * piece.stickers, whichever way the piece has turned since.
      * @param {Object} piece
-     * @param {number} faceIndex
+     * @param {number} slot - Index into faceDefs
      * @param {Object} config
-     * @returns {number|null} Color key (index into this.colors) or null
+     * @returns {number|null} Color key (index into this.colors), or null for no sticker
      */
-    getStickerColor(piece, faceIndex, config) { throw new Error('PuzzleDefinition.getStickerColor not implemented'); }
+    getStickerColor(piece, slot, config) { throw new Error('PuzzleDefinition.getStickerColor not implemented'); }
+
+    /**
+     * Is the puzzle solved? Must not depend on whole-puzzle orientation:
+     * a solved puzzle that has been rotated as a whole still counts.
+     * Default: false (solve detection unsupported).
+     * @param {Array<Object>} pieces
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    isSolved(pieces, config) { return false; }
 
     /**
      * Find a piece at position m. Default works for [x,y,z] coordinate systems.
@@ -92,6 +147,8 @@ export class PuzzleDefinition {
     /**
      * Base move definitions: keyboard key → move descriptor.
      * Cube example: { 'u': { axis: 1, side: -1, dir: -1 }, ... }
+     * An optional `label` names the move in the controls help when the key
+     * alone does not (e.g. key "q" for the FTO's BL face).
      * @returns {Object}
      */
     get baseMoves() { throw new Error('PuzzleDefinition.baseMoves not implemented'); }
@@ -108,9 +165,187 @@ export class PuzzleDefinition {
     /**
      * Generate a scramble sequence.
      * @param {Object} config
+     * @param {Array<Object>} [pieces] - State the scramble starts from, for puzzles
+     *   whose legal moves depend on it (bandaging); omitted means solved
      * @returns {Array<Object>} Array of move descriptors
      */
-    generateScramble(config) { throw new Error('PuzzleDefinition.generateScramble not implemented'); }
+    generateScramble(config, pieces) { throw new Error('PuzzleDefinition.generateScramble not implemented'); }
+
+    /**
+     * Text shown for a scramble. Default: its notation, or the move count
+     * for puzzles without notation.
+     * @param {Array<Object>} moves - As returned by generateScramble
+     * @param {Object} config
+     * @returns {string}
+     */
+    formatScramble(moves, config) {
+        return this.hasNotation ? this.formatAlgorithm(moves, config) : `${moves.length} random moves`;
+    }
+
+    /**
+     * Return the move that undoes the given one. Default: same layer, opposite direction.
+     * @param {Object} move
+     * @returns {Object}
+     */
+    invertMove(move) {
+        return { ...move, dir: -move.dir };
+    }
+
+    /**
+     * Serialize a move list to a compact string (URLs, storage).
+     * Default: notation when every move is expressible, else JSON.
+     * @param {Array<Object>} moves
+     * @param {Object} config
+     * @returns {string}
+     */
+    serializeMoves(moves, config) {
+        if (this.hasNotation && moves.every(m => this.formatMove(m, config) !== null)) {
+            return this.formatAlgorithm(moves, config);
+        }
+        return JSON.stringify(moves);
+    }
+
+    /**
+     * Inverse of serializeMoves. Throws on malformed input.
+     * @param {string} text
+     * @param {Object} config
+     * @returns {Array<Object>}
+     */
+    deserializeMoves(text, config) {
+        if (text.trim().startsWith('[')) return JSON.parse(text);
+        return this.parseAlgorithm(text, config);
+    }
+
+    // ── Facelets (Optional) ──────────────────────────────────
+
+    /** @returns {boolean} Whether the state can be exported/imported as a facelet string */
+    get hasFacelets() { return false; }
+
+    /**
+     * Serialize the visible sticker colors to a facelet string.
+     * @param {Array<Object>} pieces
+     * @param {Object} config
+     * @returns {string}
+     */
+    toFacelets(pieces, config) { throw new Error(`${this.name} has no facelet format`); }
+
+    /**
+     * Build a piece array showing the given facelet string.
+     * Throws an Error if the string is malformed or has wrong color counts.
+     * @param {string} facelets
+     * @param {Object} config
+     * @returns {Array<Object>}
+     */
+    fromFacelets(facelets, config) { throw new Error(`${this.name} has no facelet format`); }
+
+    // ── Bandaging (Optional) ─────────────────────────────────
+
+    /** @returns {boolean} Whether pieces can be fused into blocks by clicking pairs */
+    get hasBandaging() { return false; }
+
+    /**
+     * Fuse two neighbouring pieces, or detach `b` if they are already fused.
+     * Updates the config's bandaging; the caller rebuilds the pieces.
+     * Throws an Error if the pieces cannot be fused.
+     * @param {Object} a
+     * @param {Object} b
+     * @param {Object} config
+     */
+    toggleBandage(a, b, config) { throw new Error(`${this.name} cannot be bandaged`); }
+
+    /**
+     * Whether two pieces belong to the same block and touch (drawn linked).
+     * @returns {boolean}
+     */
+    areFused(a, b) { return false; }
+
+    // ── Solver (Optional) ────────────────────────────────────
+
+    /**
+     * Whether a solver is available for this configuration.
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    canSolve(config) { return false; }
+
+    /**
+     * Compute a solution for the current state. Implementations should do heavy
+     * work off the main thread and must read `pieces` before their first await.
+     * @param {Array<Object>} pieces
+     * @param {Object} config
+     * @returns {Promise<Array<Object>>} Move descriptors that solve the puzzle
+     */
+    solve(pieces, config) { return Promise.reject(new Error(`No solver for ${this.name}`)); }
+
+    // ── Notation (Optional) ─────────────────────────────────
+
+    /** @returns {boolean} Whether this puzzle can parse and print move notation */
+    get hasNotation() { return false; }
+
+    /**
+     * Parse a single notation token (e.g. "R'", "Rw2") into move descriptors.
+     * Multi-turn tokens expand into several single-turn descriptors.
+     * @param {string} token
+     * @param {Object} config
+     * @returns {Array<Object>|null} Move descriptors, or null if the token is not recognized
+     */
+    parseMove(token, config) { return null; }
+
+    /**
+     * Format a move descriptor back into notation.
+     * @param {Object} move
+     * @param {Object} config
+     * @returns {string|null} Notation string, or null if not expressible
+     */
+    formatMove(move, config) { return null; }
+
+    /**
+     * Parse a full algorithm string into a flat list of move descriptors.
+     * Throws an Error naming the first unrecognized token.
+     * @param {string} text
+     * @param {Object} config
+     * @returns {Array<Object>}
+     */
+    parseAlgorithm(text, config) {
+        const moves = [];
+        for (const token of tokenizeAlgorithm(text)) {
+            const parsed = this.parseMove(token, config);
+            if (!parsed) throw new Error(`Unrecognized move "${token}"`);
+            moves.push(...parsed);
+        }
+        return moves;
+    }
+
+    /**
+     * Format a list of move descriptors, merging consecutive repeats ("R R" → "R2").
+     * @param {Array<Object>} moves
+     * @param {Object} config
+     * @returns {string}
+     */
+    formatAlgorithm(moves, config) {
+        const out = [];
+        let prev = null, count = 0;
+        const order = Math.round(2 * Math.PI / this.moveAngle);
+        const emit = () => {
+            if (!prev) return;
+            const base = prev.replace(/'$/, '');
+            let prime = prev.endsWith("'");
+            let n = count % order;
+            if (n === 0) return;
+            if (n > order / 2) { n = order - n; prime = !prime; }
+            if (2 * n === order) prime = false;
+            out.push(base + (n > 1 ? n : '') + (prime ? "'" : ''));
+        };
+        for (const move of moves) {
+            const str = this.formatMove(move, config) ?? '?';
+            if (str === prev) { count++; continue; }
+            emit();
+            prev = str;
+            count = 1;
+        }
+        emit();
+        return out.join(' ');
+    }
 
     // ── Animation ────────────────────────────────────────────
 
@@ -128,6 +363,18 @@ export class PuzzleDefinition {
         return Math.abs(piece.m[move.axis] - move.layer) < 0.01;
     }
 
+    /**
+     * Whether a move is impossible in the current state, e.g. because it would
+     * split a bandaged block. The animation queue drops blocked moves.
+     * @param {Array<Object>} pieces
+     * @param {Object} move
+     * @returns {boolean}
+     */
+    isMoveBlocked(pieces, move) { return false; }
+
+    /** @returns {string} Why isMoveBlocked refuses a move, shown as "R is blocked: <reason>" */
+    get blockedReason() { return 'a piece is in the way'; }
+
     // ── Rendering ────────────────────────────────────────────
 
     /**
@@ -159,19 +406,36 @@ export class PuzzleDefinition {
      */
     detectWorldFace(piece, faceVerts, config) { throw new Error('PuzzleDefinition.detectWorldFace not implemented'); }
 
+    /** @returns {Array<CanvasImageSource>|null} Per-face sticker textures, indexed by face ID */
+    get faceImages() { return null; }
+
+    /**
+     * Build (or drop) the textures returned by faceImages for this config.
+     * Browser-only — may use the DOM. Called by the engine, never by the
+     * state model, so puzzles stay usable headless.
+     * @param {Object} config
+     */
+    updateFaceImages(config) {}
+
     // ── 2D View (Optional) ───────────────────────────────────
 
-    /** @returns {boolean} Whether this puzzle has a custom 2D projection view */
-    get has2DView() { return false; }
+    /** @returns {boolean} Whether this puzzle shows a 2D view */
+    get has2DView() { return true; }
 
     /**
-     * Create and return a 2D view renderer.
-     * Must return an object with: render(pieces, move, progress, config),
-     * getClickTarget(px, py, config), computeArrowDirection(piece, faceIndex, rotAxis, config)
+     * Create and return a 2D view renderer. Called again after every config
+     * change, so a config option can pick between views. Default: the puzzle's
+     * solid unfolded into a net, worked out from its pieces.
+     * Must return an object with: updateScaling(config), render(pieces, move, progress, config),
+     * getClickTarget(px, py, config) and drawSelectionHighlight(selected, pieces, config).
+     * Views that steer arrow keys also provide computeArrowDirection(piece, faceIndex, rotAxis, config),
+     * and resolveArrowMove(piece, selected, screenDir, config) unless rotAxis is a cube axis;
+     * other views leave arrow keys to resolveArrowMove below, as seen by the 3D camera.
      * @param {HTMLCanvasElement} canvas
+     * @param {Object} config
      * @returns {Object|null}
      */
-    create2DView(canvas) { return null; }
+    create2DView(canvas, config) { return new UnfoldedNetView(canvas, this); }
 
     // ── Configuration ────────────────────────────────────────
 
@@ -179,7 +443,9 @@ export class PuzzleDefinition {
     get defaultConfig() { return {}; }
 
     /**
-     * Configurable parameters with UI hints.
+     * Configurable parameters with UI hints. Types are number, text, and the
+     * display-only checkbox and select (options: [{ value, label }]), which
+     * keep the pieces when changed.
      * @returns {Array<Object>} e.g. [{ key: 'N', label: 'Size', type: 'number', min: 1, max: 10, default: 3 }]
      */
     get configParams() { return []; }
@@ -197,6 +463,7 @@ export class PuzzleDefinition {
 
     /**
      * Resolve an arrow-key press into a move for this puzzle.
+     * Overrides can list the turns carrying the piece and let pickArrowMove choose.
      * @param {Object} piece - The selected piece
      * @param {number} faceIndex - Which face is selected
      * @param {number[]} screenDir - Arrow direction as [dx, dy] in screen space
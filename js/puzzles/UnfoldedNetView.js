@@ -0,0 +1,304 @@
+import { ease, rotatePoint, rotatePointAroundAxis, worldToScreen, pointInConvexPolygon } from '../engine/math.js';
+import { sliceSolid } from './cut/slicing.js';
+
+const MARGIN = 30;
+// Renderer3D's starting camera: the face turned most towards it heads the net
+const VIEW_YAW = 0.6, VIEW_PITCH = -0.7;
+const NEAR = 1e-6;
+
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const norm3 = (a) => { const l = Math.hypot(a[0], a[1], a[2]); return [a[0] / l, a[1] / l, a[2] / l]; };
+
+// ── Complex helpers: 2D points as [re, im] ──────────────
+const cmul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const cdiv = (a, b) => {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+const cadd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const csub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const polar = (angle) => [Math.cos(angle), Math.sin(angle)];
+const wrap = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+const centroid = (poly) => [
+    poly.reduce((s, w) => s + w[0], 0) / poly.length,
+    poly.reduce((s, w) => s + w[1], 0) / poly.length,
+];
+
+/** Signed area of a 2D polygon, positive when wound clockwise on screen (y down). */
+const area = (poly) => poly.reduce((s, w, i) => {
+    const next = poly[(i + 1) % poly.length];
+    return s + (w[0] * next[1] - next[0] * w[1]) / 2;
+}, 0);
+
+/** Normal of a 3D polygon by Newell's method, scaled by twice its area. */
+function newell(verts) {
+    const n = [0, 0, 0];
+    verts.forEach((a, i) => {
+        const b = verts[(i + 1) % verts.length];
+        n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return n;
+}
+
+/**
+ * 2D view for any puzzle: its solid unfolded flat into a net, worked out
+ * from the solved pieces rather than drawn by hand.
+ *
+ * World faces are the stickered faceDefs grouped by detectWorldFace; their
+ * planes bound the solid, whose faces are hinged open breadth-first from the
+ * one facing the default camera. Each face plane maps onto the net by a
+ * similarity (a complex map A·z + B of in-plane coordinates), so stickers
+ * keep their 3D shapes. During a turn, stickers on the turning face swing
+ * about its center; the rest glide, spinning, to where the turn leaves them.
+ */
+export class UnfoldedNetView {
+    constructor(canvas, puzzle) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.puzzle = puzzle;
+        this.faces = new Map();
+        this.lastRenderedStickers = [];
+    }
+
+    /** Rebuild the net: the solid changes with the config (size, proportions). */
+    updateScaling(config) {
+        this.faces = this._layout(config);
+    }
+
+    /** World faces of the solved puzzle: id → { normal, extent }, extent along the normal. */
+    _worldFaces(config) {
+        const faces = new Map();
+        for (const piece of this.puzzle.createPieces(config)) {
+            this.puzzle.faceDefs.forEach((def, slot) => {
+                if (!piece.stickers[slot]) return;
+                const verts = def.idx.map(i => piece.p[i]);
+                const id = this.puzzle.detectWorldFace(piece, verts, config);
+                if (id < 0) return;
+                const face = faces.get(id) ?? { sum: [0, 0, 0], verts: [] };
+                const n = newell(verts);
+                face.sum = [face.sum[0] + n[0], face.sum[1] + n[1], face.sum[2] + n[2]];
+                face.verts.push(...verts);
+                faces.set(id, face);
+            });
+        }
+        for (const face of faces.values()) {
+            const n = norm3(face.sum);
+            // Winding varies between puzzles; outward is away from the center
+            face.normal = dot3(n, face.verts[0]) < 0 ? n.map(x => -x) : n;
+            face.extent = Math.max(...face.verts.map(v => dot3(v, face.normal)));
+        }
+        return faces;
+    }
+
+    /** Outline every face, hinge them open, then turn and fit the net to the canvas. */
+    _layout(config) {
+        const found = this._worldFaces(config);
+        const ids = [...found.keys()].sort((a, b) => a - b);
+        if (!ids.length) return new Map();
+        const radius = Math.max(...ids.map(id => found.get(id).extent));
+
+        // The solid bounded by the face planes, at inradius scale for sliceSolid
+        const [cell] = sliceSolid(ids.map(id => {
+            const { normal, extent } = found.get(id);
+            return normal.map(x => x * radius / extent);
+        }), []);
+        const faces = new Map();
+        for (const { verts, faceId } of cell) {
+            if (faceId < 0) continue;
+            const { normal } = found.get(ids[faceId]);
+            const ref = Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+            // u × v along the outward normal, as the 3D view projects world x and y
+            const u = norm3(cross3(normal, ref));
+            faces.set(ids[faceId], { normal, u, v: cross3(normal, u), outline: verts.map(p => p.map(x => x * radius)) });
+        }
+
+        // Breadth-first hinging, from the face the default camera looks at most
+        const view = [Math.sin(VIEW_YAW) * Math.cos(VIEW_PITCH), Math.sin(VIEW_PITCH), Math.cos(VIEW_YAW) * Math.cos(VIEW_PITCH)];
+        const root = [...faces.keys()].reduce((a, b) => (dot3(faces.get(b).normal, view) > dot3(faces.get(a).normal, view) ? b : a));
+        faces.get(root).map = { A: [1, 0], B: [0, 0] };
+        const queue = [root];
+        while (queue.length) {
+            const parent = faces.get(queue.shift());
+            for (const [id, face] of faces) {
+                if (face.map) continue;
+                const shared = face.outline.filter(p => parent.outline.some(q => Math.hypot(...sub3(p, q)) < NEAR * radius));
+                if (shared.length < 2) continue;
+                const [a, b] = shared;
+                const wa = this._apply(parent.map, this._local(parent, a));
+                const wb = this._apply(parent.map, this._local(parent, b));
+                const za = this._local(face, a), zb = this._local(face, b);
+                const A = cdiv(csub(wb, wa), csub(zb, za));
+                face.map = { A, B: csub(wa, cmul(A, za)) };
+                queue.push(id);
+            }
+        }
+        for (const [id, face] of faces) if (!face.map) faces.delete(id);
+
+        // Start from the root as the camera shows it, then turn for the best fit
+        const all = [...faces.values()].flatMap(face => face.outline.map(p => this._apply(face.map, this._local(face, p))));
+        const [sx, sy] = worldToScreen(...faces.get(root).u, VIEW_YAW, VIEW_PITCH);
+        const upright = Math.atan2(sy, sx);
+        const fit = (angle) => {
+            const turn = polar(angle);
+            const turned = all.map(w => cmul(turn, w));
+            const xs = turned.map(w => w[0]), ys = turned.map(w => w[1]);
+            const box = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+            const scale = Math.min((this.canvas.width - 2 * MARGIN) / (box[1] - box[0]),
+                (this.canvas.height - 2 * MARGIN) / (box[3] - box[2]));
+            return { turn, box, scale };
+        };
+        let best = fit(upright);
+        for (let k = 1; k <= 36; k++) {
+            for (const step of [k, -k]) {
+                const tried = fit(upright + step * Math.PI / 36);
+                if (tried.scale > best.scale * 1.01) best = tried;
+            }
+        }
+
+        const { turn, box: [minX, maxX, minY, maxY], scale } = best;
+        const S = [turn[0] * scale, turn[1] * scale];
+        const T = [this.canvas.width / 2 - scale * (minX + maxX) / 2, this.canvas.height / 2 - scale * (minY + maxY) / 2];
+        for (const face of faces.values()) face.map = { A: cmul(S, face.map.A), B: cadd(cmul(S, face.map.B), T) };
+        return faces;
+    }
+
+    _local(face, point) {
+        return [dot3(point, face.u), dot3(point, face.v)];
+    }
+
+    _apply({ A, B }, z) {
+        return cadd(cmul(A, z), B);
+    }
+
+    /** Canvas position of a point on the plane of world face `id`. */
+    toNet(id, point) {
+        const face = this.faces.get(id);
+        return this._apply(face.map, this._local(face, point));
+    }
+
+    /** World face and canvas polygon of a sticker, or null if it is on no face of the net. */
+    _sticker(piece, def, config) {
+        const verts = def.idx.map(i => piece.p[i]);
+        const face = this.puzzle.detectWorldFace(piece, verts, config);
+        return this.faces.has(face) ? { face, poly: verts.map(v => this.toNet(face, v)) } : null;
+    }
+
+    /** The piece as the move leaves it, turned the way Renderer3D animates it. */
+    _turned(piece, move, angle) {
+        const turn = Array.isArray(move.axis)
+            ? (v) => rotatePointAroundAxis(v, move.axis, angle)
+            : (v) => rotatePoint(v, move.axis, angle);
+        return { ...piece, m: piece.m && turn(piece.m), p: piece.p.map(turn) };
+    }
+
+    /** Sticker polygon at eased progress t between its start and end. */
+    _between(start, end, move, angle, t) {
+        if (start.face === end.face) {
+            const axis = Array.isArray(move.axis) ? move.axis : [0, 1, 2].map(i => (i === move.axis ? 1 : 0));
+            const along = dot3(this.faces.get(start.face).normal, axis);
+            if (Math.abs(along) > 1 - NEAR) {
+                const pivot = this.toNet(start.face, [0, 0, 0]);
+                const full = polar(angle * Math.sign(along));
+                const rigid = start.poly.every((w, i) => {
+                    const r = cadd(pivot, cmul(full, csub(w, pivot)));
+                    return Math.hypot(r[0] - end.poly[i][0], r[1] - end.poly[i][1]) < 1;
+                });
+                const swing = polar(angle * Math.sign(along) * t);
+                if (rigid) return start.poly.map(w => cadd(pivot, cmul(swing, csub(w, pivot))));
+            }
+        }
+        const cs = centroid(start.poly), ce = centroid(end.poly);
+        const far = start.poly.reduce((k, w, i) =>
+            (Math.hypot(...csub(w, cs)) > Math.hypot(...csub(start.poly[k], cs)) ? i : k), 0);
+        const [a, b] = [csub(start.poly[far], cs), csub(end.poly[far], ce)];
+        const spin = polar(wrap(Math.atan2(b[1], b[0]) - Math.atan2(a[1], a[0])) * t);
+        const c = [cs[0] + (ce[0] - cs[0]) * t, cs[1] + (ce[1] - cs[1]) * t];
+        return start.poly.map(w => cadd(c, cmul(spin, csub(w, cs))));
+    }
+
+    render(pieces, move, progress, config) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Face outlines
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        for (const [id, face] of this.faces) {
+            this._path(face.outline.map(p => this.toNet(id, p)));
+            ctx.stroke();
+        }
+
+        const t = move ? ease(progress) : 0;
+        const angle = move ? this.puzzle.moveAngle * move.dir : 0;
+        const faceDefs = this.puzzle.faceDefs;
+        const stickers = [];
+        for (const piece of pieces) {
+            const moving = move && this.puzzle.isPieceInMove(piece, move);
+            const turned = moving ? this._turned(piece, move, angle) : null;
+            faceDefs.forEach((def, slot) => {
+                if (!piece.stickers[slot]) return;
+                const start = this._sticker(piece, def, config);
+                if (!start) return;
+                const ci = this.puzzle.getStickerColor(piece, slot, config);
+                if (ci === null) return;
+                const end = moving && this._sticker(turned, def, config);
+                let poly = end ? this._between(start, end, move, angle, t) : start.poly;
+                // Wind clockwise on screen, as pointInConvexPolygon expects
+                if (area(poly) < 0) poly = [...poly].reverse();
+                stickers.push({ piece, face: start.face, poly, color: this.puzzle.colors[ci] });
+            });
+        }
+
+        this.lastRenderedStickers = stickers;
+
+        for (const s of stickers) {
+            this._path(s.poly);
+            ctx.fillStyle = s.color;
+            ctx.fill();
+            ctx.strokeStyle = '#111';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    _path(poly) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.moveTo(poly[0][0], poly[0][1]);
+        for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i][0], poly[i][1]);
+        ctx.closePath();
+    }
+
+    /** Draw selection highlight on the net. Called separately by PuzzleEngine. */
+    drawSelectionHighlight(selected, pieces, config) {
+        if (!selected) return;
+        const piece = this.puzzle.findPieceAt(pieces, selected.m);
+        if (!piece) return;
+        const hit = this.lastRenderedStickers.find(s => s.piece === piece && s.face === selected.faceIndex);
+        if (!hit) return;
+        const ctx = this.ctx;
+        this._path(hit.poly);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /** Selects the sticker the 3D view would: same world face, so arrow keys turn as they do there. */
+    getClickTarget(px, py, config) {
+        const hit = this.lastRenderedStickers.find(s =>
+            pointInConvexPolygon(px, py, s.poly.map(([x, y]) => ({ x, y }))));
+        if (!hit) return null;
+        const faceAxisLookup = this.puzzle.constructor.FACE_AXIS || null;
+        const faceAxis = faceAxisLookup ? faceAxisLookup[hit.face] : 0;
+        return { faceIndex: hit.face, faceAxis, m: [...hit.piece.m], from: '2d' };
+    }
+}
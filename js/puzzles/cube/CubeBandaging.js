@@ -0,0 +1,106 @@
+/**
+ * Bandaging for N×N×N cubes: groups of neighbouring cubies fused into
+ * blocks that always turn together.
+ *
+ * Text form (config.bandages): blocks separated by ";", cubies within a
+ * block by "+", each cubie as 0-based grid indices "x,y,z" (x left→right,
+ * y top→bottom, z back→front), e.g. "0,0,2+1,0,2; 2,2,2+2,1,2".
+ *
+ * No DOM — pure data helpers.
+ */
+
+const key = (c) => c.join(',');
+
+/** Whether two grid cells share a face. */
+export function areNeighbors(a, b) {
+    return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]) === 1;
+}
+
+/**
+ * Canonical blocks: groups sharing a cubie are merged, each group is split
+ * into face-connected parts, and single cubies are dropped.
+ * @param {Array<Array<number[]>>} groups
+ * @returns {Array<Array<number[]>>} Sorted blocks of sorted cells
+ */
+export function normalizeBlocks(groups) {
+    // Merge groups that share a cubie
+    const merged = [];
+    for (const group of groups) {
+        const cells = new Map(group.map(c => [key(c), c]));
+        for (let i = merged.length - 1; i >= 0; i--) {
+            if ([...cells.keys()].some(k => merged[i].has(k))) {
+                for (const [k, c] of merged[i]) cells.set(k, c);
+                merged.splice(i, 1);
+            }
+        }
+        merged.push(cells);
+    }
+
+    // Split into face-connected parts
+    const blocks = [];
+    for (const cells of merged) {
+        const left = new Map(cells);
+        while (left.size) {
+            const [startKey, start] = left.entries().next().value;
+            left.delete(startKey);
+            const part = [start];
+            for (let i = 0; i < part.length; i++) {
+                for (const [k, c] of left) {
+                    if (areNeighbors(part[i], c)) {
+                        part.push(c);
+                        left.delete(k);
+                    }
+                }
+            }
+            if (part.length > 1) blocks.push(part);
+        }
+    }
+
+    const compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+    for (const block of blocks) block.sort(compare);
+    return blocks.sort((a, b) => compare(a[0], b[0]));
+}
+
+/**
+ * Parse the text form leniently: malformed or out-of-range cubies are skipped.
+ * @param {string} text
+ * @param {number} N
+ * @returns {Array<Array<number[]>>} Normalized blocks
+ */
+export function parseBandages(text, N) {
+    const groups = [];
+    for (const part of String(text ?? '').split(';')) {
+        const group = [];
+        for (const cell of part.split('+')) {
+            const coords = cell.trim().split(/\s*,\s*/).map(Number);
+            if (coords.length === 3 && coords.every(c => Number.isInteger(c) && c >= 0 && c < N)) {
+                group.push(coords);
+            }
+        }
+        if (group.length) groups.push(group);
+    }
+    return normalizeBlocks(groups);
+}
+
+/**
+ * @param {Array<Array<number[]>>} blocks
+ * @returns {string} Text form
+ */
+export function formatBandages(blocks) {
+    return blocks.map(block => block.map(key).join('+')).join('; ');
+}
+
+/**
+ * Fuse cell `b` to `a`'s block (or start a block), or detach `b` if the
+ * two are already in the same block.
+ * @returns {Array<Array<number[]>>} Normalized blocks
+ */
+export function toggleBond(blocks, a, b) {
+    const ka = key(a), kb = key(b);
+    const blockA = blocks.find(block => block.some(c => key(c) === ka));
+    if (blockA && blockA.some(c => key(c) === kb)) {
+        const rest = blocks.filter(block => block !== blockA);
+        return normalizeBlocks([...rest, blockA.filter(c => key(c) !== kb)]);
+    }
+    return normalizeBlocks([...blocks, [a, b]]);
+}
@@ -57,3 +57,22 @@ export function faceColorIndex(axis, dir) {
     if (axis === 0) return dir > 0 ? 3 : 2;
     return dir > 0 ? 4 : 5;
 }
+
+// ── Notation ─────────────────────────────────────────────
+
+// Face letter → turning axis, side of the cube, and clockwise direction.
+// Y points down, so clockwise about Y is the opposite sign from X and Z.
+export const NOTATION_FACES = {
+    U: { axis: 1, side: -1, dir:  1 },
+    D: { axis: 1, side:  1, dir: -1 },
+    L: { axis: 0, side: -1, dir: -1 },
+    R: { axis: 0, side:  1, dir:  1 },
+    F: { axis: 2, side:  1, dir:  1 },
+    B: { axis: 2, side: -1, dir: -1 },
+};
+
+// Slice letter → face whose direction it follows (all inner layers)
+export const SLICE_REF = { M: 'L', E: 'D', S: 'F' };
+
+// Whole-cube rotation letter → face whose direction it follows
+export const ROTATION_REF = { x: 'R', y: 'U', z: 'F' };
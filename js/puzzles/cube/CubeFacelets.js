@@ -0,0 +1,127 @@
+/**
+ * Facelet view of an N×N×N cube in the standard URFDLB order used by
+ * external solvers: U1..U(N²), R1.., F1.., D1.., L1.., B1.., each face read
+ * row by row as seen from outside with U (or, for U/D, B/F) at the top.
+ *
+ * No DOM — depends only on the puzzle's geometric piece state.
+ */
+
+export const FACELET_FACES = 'URFDLB';
+
+// Face letter → face index in CubeConstants (0 top, 1 bottom, 2 left, 3 right, 4 front, 5 back)
+export const LETTER_TO_FACE = { U: 0, D: 1, L: 2, R: 3, F: 4, B: 5 };
+
+/**
+ * World position (cubie center) of the sticker at (row, col) on a face.
+ * The cube uses Y- as up and Z+ as front.
+ * @param {string} letter - Face letter
+ * @param {number} row - 0..N-1, top to bottom
+ * @param {number} col - 0..N-1, left to right
+ * @param {number} half - (N - 1) / 2
+ * @returns {number[]}
+ */
+export function faceletPosition(letter, row, col, half) {
+    const a = col - half, b = row - half;
+    switch (letter) {
+        case 'U': return [a, -half, b];
+        case 'R': return [half, b, -a];
+        case 'F': return [a, b, half];
+        case 'D': return [a, half, -b];
+        case 'L': return [-half, b, a];
+        case 'B': return [-a, b, -half];
+    }
+    throw new Error(`Unknown face "${letter}"`);
+}
+
+/**
+ * Read the color index showing at every facelet, in URFDLB order.
+ * Missing pieces (hollow cubes) read as null.
+ * @returns {Array<number|null>}
+ */
+export function readFaceletColors(puzzle, pieces, config) {
+    const { N, half } = config;
+    const colors = [];
+    for (const letter of FACELET_FACES) {
+        const faceIndex = LETTER_TO_FACE[letter];
+        for (let row = 0; row < N; row++) {
+            for (let col = 0; col < N; col++) {
+                const piece = puzzle.findPieceAt(pieces, faceletPosition(letter, row, col, half));
+                colors.push(piece ? puzzle.getFaceColor(piece, faceIndex, config) : null);
+            }
+        }
+    }
+    return colors;
+}
+
+/**
+ * Convert the cube state to a facelet string such as
+ * "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB".
+ * On odd cubes letters are assigned by center color, so whole-cube
+ * rotations are absorbed; otherwise color index i is the letter of face i.
+ * Missing stickers are written as "?".
+ * @returns {string}
+ */
+export function piecesToFacelets(puzzle, pieces, config) {
+    const { N } = config;
+    const colors = readFaceletColors(puzzle, pieces, config);
+    const colorToLetter = {};
+    for (const letter of FACELET_FACES) colorToLetter[LETTER_TO_FACE[letter]] = letter;
+
+    if (N % 2 === 1) {
+        const center = (N * N - 1) / 2;
+        const centers = [...FACELET_FACES].map((_, f) => colors[f * N * N + center]);
+        if (centers.every(c => c !== null) && new Set(centers).size === 6) {
+            [...FACELET_FACES].forEach((letter, f) => { colorToLetter[centers[f]] = letter; });
+        }
+    }
+    return colors.map(c => (c === null ? '?' : colorToLetter[c])).join('');
+}
+
+/**
+ * Check a facelet string for an N×N×N cube: length 6N², only URFDLB letters
+ * (or "?" for stickers of a hollow cube), and every letter equally often —
+ * N² each when nothing is missing. Whitespace is ignored. Throws an Error
+ * describing the problem.
+ * @param {string} text
+ * @param {number} N
+ * @returns {string} The normalized (whitespace-free, upper-case) string
+ */
+export function validateFacelets(text, N) {
+    const facelets = text.replace(/\s+/g, '').toUpperCase();
+    const expected = 6 * N * N;
+    if (facelets.length !== expected) {
+        throw new Error(`Expected ${expected} facelets for ${N}×${N}×${N}, got ${facelets.length}`);
+    }
+    const bad = facelets.match(/[^URFDLB?]/);
+    if (bad) throw new Error(`Invalid facelet "${bad[0]}" (use U R F D L B)`);
+    const perColor = (expected - (facelets.split('?').length - 1)) / 6;
+    for (const letter of FACELET_FACES) {
+        const count = facelets.split(letter).length - 1;
+        if (count !== perColor) throw new Error(`Color ${letter} appears ${count} times, expected ${perColor}`);
+    }
+    return facelets;
+}
+
+/**
+ * Recolor the stickers of `pieces` so the cube shows the given facelets.
+ * The sticker slot facing each facelet is found with detectWorldFace, so
+ * `pieces` may be in any orientation. Facelets over missing pieces are skipped.
+ * @param {string} facelets - Validated facelet string
+ */
+export function applyFacelets(puzzle, pieces, facelets, config) {
+    const { N, half } = config;
+    let i = 0;
+    for (const letter of FACELET_FACES) {
+        const faceIndex = LETTER_TO_FACE[letter];
+        for (let row = 0; row < N; row++) {
+            for (let col = 0; col < N; col++, i++) {
+                const piece = puzzle.findPieceAt(pieces, faceletPosition(letter, row, col, half));
+                if (!piece || facelets[i] === '?') continue;
+                const slot = puzzle.faceDefs.findIndex(def =>
+                    puzzle.detectWorldFace(piece, def.idx.map(k => piece.p[k]), config) === faceIndex);
+                if (slot < 0 || !piece.stickers[slot]) continue;
+                piece.stickers[slot].faceId = LETTER_TO_FACE[facelets[i]];
+            }
+        }
+    }
+}
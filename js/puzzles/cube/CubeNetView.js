@@ -0,0 +1,211 @@
+import { ease } from '../../engine/math.js';
+import { FACE_AXIS, FACE_INFO, faceColorIndex } from './CubeConstants.js';
+
+// Cross layout per face index: `at` is the face's cell in the 4×3 grid of
+// faces, `col`/`row` the cubie axis running along it and its sign. Faces are
+// unfolded around F as the 3D view shows them (X right, Y down, Z front).
+const NET_FACES = [
+    { at: [1, 0], col: [0,  1], row: [2,  1] }, // 0: U
+    { at: [1, 2], col: [0,  1], row: [2, -1] }, // 1: D
+    { at: [0, 1], col: [2,  1], row: [1,  1] }, // 2: L
+    { at: [2, 1], col: [2, -1], row: [1,  1] }, // 3: R
+    { at: [1, 1], col: [0,  1], row: [1,  1] }, // 4: F
+    { at: [3, 1], col: [0, -1], row: [1,  1] }, // 5: B
+];
+const MARGIN = 30;
+
+/**
+ * 2D cross-shaped net for the Rubik's Cube: U on top, L F R B in a row,
+ * D below, for any N.
+ *
+ * During a move the turning face's stickers rotate about its center, and
+ * each sticker in the turning band slides out over its face's edge while
+ * its copy slides in on the face it ends on, each clipped to its face.
+ */
+export class CubeNetView {
+    constructor(canvas, puzzle) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.puzzle = puzzle;
+        this.cell = 0;
+        this.lastRenderedStickers = [];
+    }
+
+    updateScaling(config) {
+        const { N } = config;
+        const W = this.canvas.width, H = this.canvas.height;
+        this.cell = Math.floor(Math.min((W - 2 * MARGIN) / (4 * N), (H - 2 * MARGIN) / (3 * N)));
+        this.faceSize = N * this.cell;
+        this.x0 = (W - 4 * this.faceSize) / 2;
+        this.y0 = (H - 3 * this.faceSize) / 2;
+    }
+
+    /** Top-left corner of a face in the net. */
+    faceOrigin(fi) {
+        const [fx, fy] = NET_FACES[fi].at;
+        return { x: this.x0 + fx * this.faceSize, y: this.y0 + fy * this.faceSize };
+    }
+
+    /** Center of the sticker a cubie at m shows on face fi. */
+    stickerTo2D(fi, m, config) {
+        const { col: [ca, cs], row: [ra, rs] } = NET_FACES[fi];
+        const ci = cs > 0 ? m[ca] + config.half : config.half - m[ca];
+        const ri = rs > 0 ? m[ra] + config.half : config.half - m[ra];
+        const o = this.faceOrigin(fi);
+        return { x: o.x + (ci + 0.5) * this.cell, y: o.y + (ri + 0.5) * this.cell };
+    }
+
+    /**
+     * Net velocity of the sticker on face fi of the cubie at m when the
+     * layer turns forward about rotAxis, in net pixels per radian.
+     */
+    _velocity(fi, m, rotAxis, config) {
+        const { axis: faceAx, dir: faceDir } = FACE_INFO[fi];
+        const p = [...m];
+        p[faceAx] = faceDir * (config.half + 0.5);
+        const [a, b] = [0, 1, 2].filter(i => i !== rotAxis);
+        const v = [0, 0, 0];
+        v[a] = -p[b];
+        v[b] = p[a];
+        const { col: [ca, cs], row: [ra, rs] } = NET_FACES[fi];
+        return [cs * v[ca] * this.cell, rs * v[ra] * this.cell];
+    }
+
+    /** Where a quarter turn leaves the cubie at m and its sticker on face fi. */
+    _turned(fi, m, axis, dir) {
+        const [planeA, planeB] = [0, 1, 2].filter(i => i !== axis);
+        const newM = [m[0], m[1], m[2]];
+        newM[planeA] = -m[planeB] * dir;
+        newM[planeB] = m[planeA] * dir;
+        const { axis: stickerAxis, dir: stickerDir } = FACE_INFO[fi];
+        let newFi;
+        if (stickerAxis === axis) newFi = fi;
+        else if (stickerAxis === planeA) newFi = faceColorIndex(planeB, stickerDir * dir);
+        else newFi = faceColorIndex(planeA, -stickerDir * dir);
+        return { fi: newFi, m: newM };
+    }
+
+    render(pieces, move, progress, config) {
+        const W2 = this.canvas.width, H2 = this.canvas.height;
+        const ctx = this.ctx;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, W2, H2);
+
+        // Face outlines
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        for (let fi = 0; fi < 6; fi++) {
+            const o = this.faceOrigin(fi);
+            ctx.strokeRect(o.x, o.y, this.faceSize, this.faceSize);
+        }
+
+        const t = move ? ease(progress) : 0;
+        const allStickers = [];
+        for (const cubie of pieces) {
+            const moving = move && this.puzzle.isPieceInMove(cubie, move);
+            for (let fi = 0; fi < 6; fi++) {
+                const ci = this.puzzle.getFaceColor(cubie, fi, config);
+                if (ci === null) continue;
+                const color = this.puzzle.colors[ci];
+                const pos = this.stickerTo2D(fi, cubie.m, config);
+                const entry = { x: pos.x, y: pos.y, angle: 0, color, fi, cubie };
+
+                if (!moving) {
+                    allStickers.push(entry);
+                } else if (FACE_AXIS[fi] === move.axis) {
+                    // Turning face: swing about its center, the way the stickers move
+                    const o = this.faceOrigin(fi);
+                    const cx = o.x + this.faceSize / 2, cy = o.y + this.faceSize / 2;
+                    const [vx, vy] = this._velocity(fi, cubie.m, move.axis, config);
+                    entry.angle = Math.sign((pos.x - cx) * vy - (pos.y - cy) * vx) * move.dir * t * Math.PI / 2;
+                    const c = Math.cos(entry.angle), s = Math.sin(entry.angle);
+                    entry.x = cx + (pos.x - cx) * c - (pos.y - cy) * s;
+                    entry.y = cy + (pos.x - cx) * s + (pos.y - cy) * c;
+                    allStickers.push(entry);
+                } else {
+                    // Band: out over this face's edge, in on the face it ends on
+                    const end = this._turned(fi, cubie.m, move.axis, move.dir);
+                    const endPos = this.stickerTo2D(end.fi, end.m, config);
+                    const out = this._slide(fi, cubie.m, move, config);
+                    const into = this._slide(end.fi, end.m, move, config);
+                    allStickers.push({
+                        ...entry, x: pos.x + out[0] * t, y: pos.y + out[1] * t, clip: fi, leaving: true,
+                    }, {
+                        ...entry, x: endPos.x - into[0] * (1 - t), y: endPos.y - into[1] * (1 - t),
+                        clip: end.fi, fi: end.fi, arriving: true,
+                    });
+                }
+            }
+        }
+
+        // Band stickers are clickable on the face showing more of them
+        this.lastRenderedStickers = allStickers.filter(s => (t < 0.5 ? !s.arriving : !s.leaving));
+
+        const size = this.cell * 0.88;
+        for (const s of allStickers) {
+            ctx.save();
+            if (s.clip !== undefined) {
+                const o = this.faceOrigin(s.clip);
+                ctx.beginPath();
+                ctx.rect(o.x, o.y, this.faceSize, this.faceSize);
+                ctx.clip();
+            }
+            this._square(s, size);
+            ctx.fillStyle = s.color;
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /** Net offset covering one face width along a band sticker's direction of travel. */
+    _slide(fi, m, move, config) {
+        const [vx, vy] = this._velocity(fi, m, move.axis, config);
+        const len = Math.hypot(vx, vy) || 1;
+        return [vx / len * this.faceSize * move.dir, vy / len * this.faceSize * move.dir];
+    }
+
+    _square(s, size) {
+        const ctx = this.ctx;
+        const c = Math.cos(s.angle), sn = Math.sin(s.angle);
+        const h = size / 2;
+        ctx.beginPath();
+        [[-h, -h], [h, -h], [h, h], [-h, h]].forEach(([dx, dy], i) => {
+            const x = s.x + dx * c - dy * sn, y = s.y + dx * sn + dy * c;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+    }
+
+    /** Draw selection highlight on the net. Called separately by PuzzleEngine. */
+    drawSelectionHighlight(selected, pieces, config) {
+        if (!selected) return;
+        const selCubie = this.puzzle.findPieceAt(pieces, selected.m);
+        if (!selCubie) return;
+        const hit = this.lastRenderedStickers.find(s => s.cubie === selCubie && s.fi === selected.faceIndex);
+        if (!hit) return;
+        const ctx = this.ctx;
+        this._square(hit, this.cell * 0.88 + 4);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    getClickTarget(px, py, config) {
+        const h = this.cell / 2;
+        const best = this.lastRenderedStickers.find(s => Math.abs(s.x - px) <= h && Math.abs(s.y - py) <= h);
+        if (best) {
+            return { faceIndex: best.fi, faceAxis: FACE_AXIS[best.fi], m: [...best.cubie.m], from: '2d' };
+        }
+        return null;
+    }
+
+    computeArrowDirection(piece, faceIndex, rotAxis, config) {
+        return this._velocity(faceIndex, piece.m, rotAxis, config);
+    }
+}
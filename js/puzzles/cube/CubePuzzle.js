@@ -1,33 +1,17 @@
 import { PuzzleDefinition } from '../PuzzleDefinition.js';
 import { worldToScreen } from '../../engine/math.js';
+import { parseAmount } from '../../engine/notation.js';
 import { CubeTrefoilView } from './CubeTrefoilView.js';
+import { CubeNetView } from './CubeNetView.js';
+import { piecesToFacelets, validateFacelets, applyFacelets } from './CubeFacelets.js';
+import { CubeSolver } from './solver/CubeSolver.js';
+import { generateTestPattern } from './CubeTextures.js';
+import { parseBandages, formatBandages, toggleBond, areNeighbors } from './CubeBandaging.js';
 import {
     COLORS, CUBIE_SIZE, FACE_DEFS, FACE_UV, FACE_INFO, FACE_AXIS,
-    faceColorIndex
+    NOTATION_FACES, SLICE_REF, ROTATION_REF, faceColorIndex
 } from './CubeConstants.js';
 
-function generateTestPattern(N, faceId) {
-    const size = 256;
-    const c = document.createElement('canvas');
-    c.width = c.height = size;
-    const cx = c.getContext('2d');
-    const tile = size / N;
-    for (let u = 0; u < N; u++) {
-        for (let v = 0; v < N; v++) {
-            cx.fillStyle = COLORS[faceId];
-            cx.globalAlpha = 0.4 + 0.6 * ((u + v) / (2 * (N - 1) || 1));
-            cx.fillRect(u * tile, v * tile, tile, tile);
-            cx.globalAlpha = 1;
-            cx.fillStyle = '#000';
-            cx.font = `bold ${tile * 0.35}px sans-serif`;
-            cx.textAlign = 'center';
-            cx.textBaseline = 'middle';
-            cx.fillText(`${u},${v}`, (u + 0.5) * tile, (v + 0.5) * tile);
-        }
-    }
-    return c;
-}
-
 export class CubePuzzle extends PuzzleDefinition {
 
     get name() { return "Rubik's Cube"; }
@@ -38,10 +22,11 @@ export class CubePuzzle extends PuzzleDefinition {
     get vertsPerFace() { return 4; }
     get moveAngle() { return Math.PI / 2; }
 
+    /** Keyboard turns, clockwise like NOTATION_FACES (Y points down, so U and D turn by +1 and -1). */
     get baseMoves() {
         return {
-            'u': { axis: 1, side: -1, dir: -1 },
-            'd': { axis: 1, side:  1, dir:  1 },
+            'u': { axis: 1, side: -1, dir:  1 },
+            'd': { axis: 1, side:  1, dir: -1 },
             'l': { axis: 0, side: -1, dir: -1 },
             'r': { axis: 0, side:  1, dir:  1 },
             'f': { axis: 2, side:  1, dir:  1 },
@@ -50,7 +35,7 @@ export class CubePuzzle extends PuzzleDefinition {
     }
 
     get defaultConfig() {
-        return { N: 3, borderWidth: 2, selectedDepth: 1, imageMode: false };
+        return { N: 3, borderWidth: 2, selectedDepth: 1, imageMode: false, bandages: '', view2d: 'trefoil' };
     }
 
     get configParams() {
@@ -58,6 +43,11 @@ export class CubePuzzle extends PuzzleDefinition {
             { key: 'N', label: 'Size', type: 'number', min: 1, max: 10, default: 3 },
             { key: 'borderWidth', label: 'Border', type: 'number', min: 1, max: 5, default: 2 },
             { key: 'imageMode', label: 'Images', type: 'checkbox', default: false },
+            { key: 'bandages', label: 'Bandages', type: 'text', default: '' },
+            {
+                key: 'view2d', label: '2D view', type: 'select', default: 'trefoil',
+                options: [{ value: 'trefoil', label: 'Trefoil' }, { value: 'net', label: 'Net' }],
+            },
         ];
     }
 
@@ -66,16 +56,17 @@ export class CubePuzzle extends PuzzleDefinition {
         config.spacing = Math.floor(310 / config.N);
         config.stickerRadius = Math.max(4, Math.min(16, Math.floor(48 / config.N)));
         config.borderWidth = Math.min(config.borderWidth, Math.ceil(config.N / 2));
-        if (config.imageMode) {
-            if (!this._faceImages) this._loadFaceImages(config.N);
-        } else {
-            this._faceImages = null;
-        }
+        config.blocks = parseBandages(config.bandages, config.N);
+        config.bandages = formatBandages(config.blocks);
     }
 
-    _loadFaceImages(N) {
+    updateFaceImages(config) {
+        if (!config.imageMode) {
+            this._faceImages = null;
+            return;
+        }
         this._faceImages = new Array(6);
-        for (let i = 0; i < 6; i++) this._faceImages[i] = generateTestPattern(N, i);
+        for (let i = 0; i < 6; i++) this._faceImages[i] = generateTestPattern(config.N, i);
     }
 
     get faceImages() { return this._faceImages || null; }
@@ -86,17 +77,33 @@ export class CubePuzzle extends PuzzleDefinition {
         return { axis: baseMove.axis, layer, dir };
     }
 
-    generateScramble(config) {
+    generateScramble(config, pieces) {
         const moves = [];
         let lastAxis = -1;
         const numMoves = config.N * 7;
+        // Bandaged cubes: track the state so each move is legal where it is played
+        const state = config.blocks?.length ? structuredClone(pieces ?? this.createPieces(config)) : null;
+        const options = (skipAxis) => {
+            const list = [];
+            for (let axis = 0; axis < 3; axis++) {
+                if (axis === skipAxis) continue;
+                for (let layerIdx = 0; layerIdx < config.N; layerIdx++) {
+                    for (const dir of [1, -1]) {
+                        const move = { axis, layer: layerIdx - config.half, dir };
+                        if (!state || !this.isMoveBlocked(state, move)) list.push(move);
+                    }
+                }
+            }
+            return list;
+        };
         for (let i = 0; i < numMoves; i++) {
-            let axis;
-            do { axis = Math.floor(Math.random() * 3); } while (axis === lastAxis);
-            const layerIdx = Math.floor(Math.random() * config.N);
-            const layer = layerIdx - config.half;
-            moves.push({ axis, layer, dir: Math.random() < 0.5 ? 1 : -1 });
-            lastAxis = axis;
+            let list = options(lastAxis);
+            if (!list.length) list = options(-1);
+            if (!list.length) break;
+            const move = list[Math.floor(Math.random() * list.length)];
+            if (state) this.applyRotation(state, move);
+            moves.push(move);
+            lastAxis = move.axis;
         }
         return moves;
     }
@@ -105,6 +112,8 @@ export class CubePuzzle extends PuzzleDefinition {
         const { N, half, borderWidth } = config;
         const cubies = [];
         const S = CUBIE_SIZE;
+        const blockOf = new Map();
+        (config.blocks || []).forEach((block, i) => block.forEach(c => blockOf.set(c.join(','), i)));
         for (let xi = 0; xi < N; xi++) {
             for (let yi = 0; yi < N; yi++) {
                 for (let zi = 0; zi < N; zi++) {
@@ -138,7 +147,8 @@ export class CubePuzzle extends PuzzleDefinition {
                             };
                         }
                     }
-                    cubies.push({ m: [x, y, z], p: corners, stickers });
+                    const block = blockOf.get(coords.join(',')) ?? null;
+                    cubies.push({ m: [x, y, z], p: corners, stickers, home: coords, block });
                 }
             }
         }
@@ -146,10 +156,11 @@ export class CubePuzzle extends PuzzleDefinition {
     }
 
     applyRotation(pieces, move) {
-        const { axis, layer, dir } = move;
+        if (this.isMoveBlocked(pieces, move)) throw new Error(`Move is blocked: ${this.blockedReason}`);
+        const { axis, dir } = move;
         const [a, b] = [0, 1, 2].filter(i => i !== axis);
         for (const c of pieces) {
-            if (Math.abs(c.m[axis] - layer) > 0.01) continue;
+            if (!this.isPieceInMove(c, move)) continue;
             const x = c.m[a], y = c.m[b];
             c.m[a] = -y * dir;
             c.m[b] = x * dir;
@@ -161,7 +172,37 @@ export class CubePuzzle extends PuzzleDefinition {
         }
     }
 
-    getStickerColor(piece, faceIndex, config) {
+    /** Wide moves and rotations carry a `layers` list; single-layer moves just `layer`. */
+    isPieceInMove(piece, move) {
+        if (move.layers) return move.layers.some(l => Math.abs(piece.m[move.axis] - l) < 0.01);
+        return Math.abs(piece.m[move.axis] - move.layer) < 0.01;
+    }
+
+    /** Blocked when some bandaged block has pieces both inside and outside the turning layers. */
+    isMoveBlocked(pieces, move) {
+        const turns = new Map();
+        for (const piece of pieces) {
+            if (piece.block == null) continue;
+            const inMove = this.isPieceInMove(piece, move);
+            const seen = turns.get(piece.block);
+            if (seen === undefined) turns.set(piece.block, inMove);
+            else if (seen !== inMove) return true;
+        }
+        return false;
+    }
+
+    get blockedReason() { return 'it would split a bandaged block'; }
+
+    getStickerColor(piece, slot) {
+        const sticker = piece.stickers[slot];
+        return sticker ? sticker.faceId : null;
+    }
+
+    /**
+     * Color a cubie shows on a world face (FACE_INFO index): the sticker
+     * now pointing that way, or null when the cubie is not on that face.
+     */
+    getFaceColor(piece, faceIndex, config) {
         const m = piece.m, p = piece.p;
         const { half } = config;
         if (faceIndex < 0 || faceIndex > 5) return null;
@@ -176,13 +217,30 @@ export class CubePuzzle extends PuzzleDefinition {
             if (Math.abs(p[i][faceAxis] - extreme) < 0.1) faceVerts.push(i);
         if (faceVerts.length !== 4) return faceIndex;
 
+        // Which of the cubie's original faces (= sticker slot) now points at faceIndex
+        let slot = faceIndex;
         const cx = faceVerts.map(i => Math.floor(i / 4));
-        if (cx.every(c => c === cx[0])) return cx[0] === 1 ? 3 : 2;
         const cy = faceVerts.map(i => Math.floor((i % 4) / 2));
-        if (cy.every(c => c === cy[0])) return cy[0] === 1 ? 1 : 0;
         const cz = faceVerts.map(i => i % 2);
-        if (cz.every(c => c === cz[0])) return cz[0] === 1 ? 4 : 5;
-        return faceIndex;
+        if (cx.every(c => c === cx[0])) slot = cx[0] === 1 ? 3 : 2;
+        else if (cy.every(c => c === cy[0])) slot = cy[0] === 1 ? 1 : 0;
+        else if (cz.every(c => c === cz[0])) slot = cz[0] === 1 ? 4 : 5;
+        const sticker = piece.stickers[slot];
+        return sticker ? sticker.faceId : slot;
+    }
+
+    /** Solved when every world face shows a single color, whatever the cube's orientation. */
+    isSolved(pieces, config) {
+        for (let fi = 0; fi < 6; fi++) {
+            let color = null;
+            for (const piece of pieces) {
+                const c = this.getFaceColor(piece, fi, config);
+                if (c === null) continue;
+                if (color === null) color = c;
+                else if (c !== color) return false;
+            }
+        }
+        return true;
     }
 
     getSpacing(config) {
@@ -199,27 +257,169 @@ export class CubePuzzle extends PuzzleDefinition {
         return -1;
     }
 
+    // ── Notation ─────────────────────────────────────────────
+
+    get hasNotation() { return true; }
+
+    /**
+     * Parse WCA-style cube notation: R, 3R (single inner layer), Rw / 3Rw / r (wide),
+     * M E S (all inner layers), x y z (whole cube), with ' and turn-count suffixes.
+     */
+    parseMove(token, config) {
+        const { N } = config;
+        let m, face, from, to, amount;
+        if ((m = token.match(/^(\d*)([UDLRFB])(w?)(\d*)('?)$/))) {
+            face = NOTATION_FACES[m[2]];
+            to = m[1] ? parseInt(m[1]) : (m[3] ? 2 : 1);
+            from = m[3] ? 1 : to;
+            amount = parseAmount(m[4], m[5]);
+        } else if ((m = token.match(/^([udlrfb])(\d*)('?)$/))) {
+            face = NOTATION_FACES[m[1].toUpperCase()];
+            from = 1;
+            to = Math.min(2, N);
+            amount = parseAmount(m[2], m[3]);
+        } else if ((m = token.match(/^([MES])(\d*)('?)$/))) {
+            face = NOTATION_FACES[SLICE_REF[m[1]]];
+            from = 2;
+            to = N - 1;
+            amount = parseAmount(m[2], m[3]);
+        } else if ((m = token.match(/^([xyz])(\d*)('?)$/))) {
+            face = NOTATION_FACES[ROTATION_REF[m[1]]];
+            from = 1;
+            to = N;
+            amount = parseAmount(m[2], m[3]);
+        } else {
+            return null;
+        }
+        if (amount === null || from < 1 || to > N || from > to) return null;
+
+        const layers = [];
+        for (let d = from; d <= to; d++) layers.push(this._layerAtDepth(face.side, d, config));
+        const move = { axis: face.axis, layer: layers[0], dir: face.dir };
+        if (layers.length > 1) move.layers = layers;
+
+        // Reduce to 0-3 quarter turns; three clockwise turns become one counter-clockwise
+        const quarter = ((amount % 4) + 4) % 4;
+        if (quarter === 3) return [{ ...move, dir: -move.dir }];
+        return Array.from({ length: quarter }, () => ({ ...move }));
+    }
+
+    formatMove(move, config) {
+        const { N } = config;
+        const layers = move.layers || [move.layer];
+        const prime = (face) => (move.dir === face.dir ? '' : "'");
+
+        // Whole-cube rotation
+        if (N > 1 && layers.length === N) {
+            const letter = Object.keys(ROTATION_REF).find(k => NOTATION_FACES[ROTATION_REF[k]].axis === move.axis);
+            return letter + prime(NOTATION_FACES[ROTATION_REF[letter]]);
+        }
+
+        // Prefer the face that whole-cube rotations follow (R, U, F) on ties
+        const preferred = Object.values(ROTATION_REF);
+        const letters = Object.keys(NOTATION_FACES)
+            .filter(k => NOTATION_FACES[k].axis === move.axis)
+            .sort((a, b) => preferred.includes(b) - preferred.includes(a));
+
+        let best = null;
+        for (const letter of letters) {
+            const face = NOTATION_FACES[letter];
+            const depths = layers.map(l => this._depthOfLayer(face.side, l, config)).sort((a, b) => a - b);
+            const contiguous = depths.every((d, i) => d === depths[0] + i);
+            if (!contiguous || (best && depths[0] >= best.depths[0])) continue;
+            best = { letter, face, depths };
+        }
+        if (!best) return null;
+
+        const { letter, face, depths } = best;
+        const lo = depths[0], hi = depths[depths.length - 1];
+
+        // Inner slice block
+        if (N >= 3 && lo === 2 && hi === N - 1) {
+            const slice = Object.keys(SLICE_REF).find(k => NOTATION_FACES[SLICE_REF[k]].axis === move.axis);
+            return slice + prime(NOTATION_FACES[SLICE_REF[slice]]);
+        }
+        if (lo === hi) return (lo > 1 ? lo : '') + letter + prime(face);
+        if (lo === 1) return (hi > 2 ? hi : '') + letter + 'w' + prime(face);
+        return null;
+    }
+
+    // ── Facelets ─────────────────────────────────────────────
+
+    get hasFacelets() { return true; }
+
+    toFacelets(pieces, config) {
+        return piecesToFacelets(this, pieces, config);
+    }
+
+    fromFacelets(text, config) {
+        const facelets = validateFacelets(text, config.N);
+        const pieces = this.createPieces(config);
+        applyFacelets(this, pieces, facelets, config);
+        return pieces;
+    }
+
+    // ── Bandaging ────────────────────────────────────────────
+
+    get hasBandaging() { return true; }
+
+    /** Cubies are identified by their solved grid position, so bandaging survives scrambles. */
+    toggleBandage(a, b, config) {
+        if (!areNeighbors(a.home, b.home)) throw new Error('Only neighbouring cubies can be fused');
+        config.bandages = formatBandages(toggleBond(config.blocks || [], a.home, b.home));
+    }
+
+    areFused(a, b) {
+        return a.block != null && a.block === b.block && areNeighbors(a.home, b.home);
+    }
+
+    // ── Solver ───────────────────────────────────────────────
+
+    /** Two-phase solver, unbandaged 3×3×3 only. */
+    canSolve(config) {
+        return config.N === 3 && !config.blocks?.length;
+    }
+
+    async solve(pieces, config) {
+        const facelets = piecesToFacelets(this, pieces, config);
+        if (facelets.includes('?')) throw new Error('Solver needs every sticker (increase Border)');
+        if (!this._solver) this._solver = new CubeSolver();
+        const solution = await this._solver.solve(facelets);
+        return this.parseAlgorithm(solution, config);
+    }
+
+    _layerAtDepth(side, depth, config) {
+        return side * (config.half - (depth - 1));
+    }
+
+    _depthOfLayer(side, layer, config) {
+        return Math.round(config.half - side * layer) + 1;
+    }
+
     // ── 2D View ──────────────────────────────────────────────
 
     get has2DView() { return true; }
 
-    create2DView(canvas) {
-        return new CubeTrefoilView(canvas, this);
+    create2DView(canvas, config) {
+        return config.view2d === 'net' ? new CubeNetView(canvas, this) : new CubeTrefoilView(canvas, this);
     }
 
     // ── Arrow-key move resolution ─────────────────────────────
 
     resolveArrowMove(piece, faceIndex, screenDir, viewYaw, viewPitch, config) {
         const m = piece.m;
-        const faceAxis = FACE_AXIS[faceIndex];
+        const { axis: faceAxis, dir: faceDir } = FACE_INFO[faceIndex];
         const tangentAxes = [0, 1, 2].filter(i => i !== faceAxis);
+        // The sticker sits on the cubie's outer side, so even a center cubie's sticker moves
+        const p = [...m];
+        p[faceAxis] += faceDir / 2;
 
         let bestAxis = tangentAxes[0], bestDir = 1, bestDot = -Infinity;
         for (const rotAxis of tangentAxes) {
             const [a, b] = [0, 1, 2].filter(i => i !== rotAxis);
             const vel = [0, 0, 0];
-            vel[a] = -m[b];
-            vel[b] = m[a];
+            vel[a] = -p[b];
+            vel[b] = p[a];
             const [sx, sy] = worldToScreen(vel[0], vel[1], vel[2], viewYaw, viewPitch);
             const dot = sx * screenDir[0] + sy * screenDir[1];
             if (Math.abs(dot) > bestDot) {
@@ -0,0 +1,34 @@
+/**
+ * Canvas textures for the cube's image mode. Browser-only: kept apart from
+ * CubePuzzle's state code so the puzzle imports and runs without a DOM.
+ */
+import { COLORS } from './CubeConstants.js';
+
+/**
+ * Draw a labelled gradient grid for one face, so sticker orientation is
+ * visible in image mode.
+ * @param {number} N - Cube size
+ * @param {number} faceId
+ * @returns {HTMLCanvasElement}
+ */
+export function generateTestPattern(N, faceId) {
+    const size = 256;
+    const c = document.createElement('canvas');
+    c.width = c.height = size;
+    const cx = c.getContext('2d');
+    const tile = size / N;
+    for (let u = 0; u < N; u++) {
+        for (let v = 0; v < N; v++) {
+            cx.fillStyle = COLORS[faceId];
+            cx.globalAlpha = 0.4 + 0.6 * ((u + v) / (2 * (N - 1) || 1));
+            cx.fillRect(u * tile, v * tile, tile, tile);
+            cx.globalAlpha = 1;
+            cx.fillStyle = '#000';
+            cx.font = `bold ${tile * 0.35}px sans-serif`;
+            cx.textAlign = 'center';
+            cx.textBaseline = 'middle';
+            cx.fillText(`${u},${v}`, (u + 0.5) * tile, (v + 0.5) * tile);
+        }
+    }
+    return c;
+}
@@ -112,14 +112,14 @@ export class CubeTrefoilView {
                 }
                 if (fi < 0) continue;
 
-                const ci = this.puzzle.getStickerColor(cubie, fi, config);
+                const ci = this.puzzle.getFaceColor(cubie, fi, config);
                 const color = ci !== null ? this.puzzle.colors[ci] : this.puzzle.innerColor;
                 const m = cubie.m;
                 const startPos = this.stickerTo2D(fi, m, config);
 
                 const entry = { x: startPos.x, y: startPos.y, color, fi, cubie, faceAxis: this.faceAxis[fi] };
 
-                if (move && Math.abs(m[move.axis] - move.layer) < 0.01) {
+                if (move && this.puzzle.isPieceInMove(cubie, move)) {
                     const newM = [m[0], m[1], m[2]];
                     newM[planeA] = -m[planeB] * move.dir;
                     newM[planeB] = m[planeA] * move.dir;
@@ -137,7 +137,7 @@ export class CubeTrefoilView {
 
                     if (stickerAxis !== move.axis) {
                         const rc = this.ringSetCenter(move.axis);
-                        const ringIdx = Math.round(move.layer + config.half);
+                        const ringIdx = Math.round(m[move.axis] + config.half);
                         const radius = this.ringRadii[ringIdx];
                         const startAng = Math.atan2(startPos.y - rc.y, startPos.x - rc.x);
                         const endAng = Math.atan2(endPos.y - rc.y, endPos.x - rc.x);
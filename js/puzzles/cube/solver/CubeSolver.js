@@ -0,0 +1,60 @@
+/**
+ * Main-thread client for the solver worker. Requests are matched to
+ * responses by id so several can be in flight.
+ */
+export class CubeSolver {
+    constructor() {
+        this._worker = null;
+        this._nextId = 1;
+        this._pending = new Map();
+    }
+
+    /**
+     * Solve a 54-character URFDLB facelet string.
+     * @param {string} facelets
+     * @param {Object} [options] - { maxDepth, timeoutMs }
+     * @returns {Promise<string>} Solution in face-turn notation
+     */
+    solve(facelets, options) {
+        return this._request({ type: 'solve', facelets, options });
+    }
+
+    /** Build the pruning tables ahead of the first solve. */
+    warmUp() {
+        return this._request({ type: 'init' });
+    }
+
+    terminate() {
+        if (this._worker) this._worker.terminate();
+        this._worker = null;
+        for (const { reject } of this._pending.values()) reject(new Error('Solver stopped'));
+        this._pending.clear();
+    }
+
+    _request(message) {
+        const worker = this._ensureWorker();
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            worker.postMessage({ id, ...message });
+        });
+    }
+
+    _ensureWorker() {
+        if (this._worker) return this._worker;
+        this._worker = new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' });
+        this._worker.onmessage = (e) => {
+            const { id, solution, error } = e.data;
+            const pending = this._pending.get(id);
+            if (!pending) return;
+            this._pending.delete(id);
+            if (error) pending.reject(new Error(error));
+            else pending.resolve(solution);
+        };
+        this._worker.onerror = (e) => {
+            e.preventDefault?.();
+            this.terminate();
+        };
+        return this._worker;
+    }
+}
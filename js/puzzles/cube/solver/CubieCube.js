@@ -0,0 +1,129 @@
+/**
+ * Cubie-level model of the 3×3×3 cube: corner/edge permutation and orientation.
+ * Conventions follow Kociemba's two-phase reference implementation:
+ *   corners URF UFL ULB UBR DFR DLF DBL DRB, edges UR UF UL UB DR DF DL DB FR FL BL BR,
+ *   and permutations are "is replaced by" arrays.
+ */
+
+// Facelet indices into the 54-character URFDLB string
+const U = 0, R = 9, F = 18, D = 27, L = 36, B = 45;
+
+const CORNER_FACELETS = [
+    [U + 8, R + 0, F + 2], [U + 6, F + 0, L + 2], [U + 0, L + 0, B + 2], [U + 2, B + 0, R + 2],
+    [D + 2, F + 8, R + 6], [D + 0, L + 8, F + 6], [D + 6, B + 8, L + 6], [D + 8, R + 8, B + 6],
+];
+const CORNER_COLORS = [
+    'URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB',
+];
+const EDGE_FACELETS = [
+    [U + 5, R + 1], [U + 7, F + 1], [U + 3, L + 1], [U + 1, B + 1],
+    [D + 5, R + 7], [D + 1, F + 7], [D + 3, L + 7], [D + 7, B + 7],
+    [F + 5, R + 3], [F + 3, L + 5], [B + 5, L + 3], [B + 3, R + 5],
+];
+const EDGE_COLORS = [
+    'UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR',
+];
+
+export class CubieCube {
+    constructor(cp = [0, 1, 2, 3, 4, 5, 6, 7], co = [0, 0, 0, 0, 0, 0, 0, 0],
+                ep = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], eo = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]) {
+        this.cp = cp.slice();
+        this.co = co.slice();
+        this.ep = ep.slice();
+        this.eo = eo.slice();
+    }
+
+    clone() {
+        return new CubieCube(this.cp, this.co, this.ep, this.eo);
+    }
+
+    /** this ← this * other (apply `other` after this state). */
+    multiply(other) {
+        const cp = new Array(8), co = new Array(8);
+        for (let i = 0; i < 8; i++) {
+            cp[i] = this.cp[other.cp[i]];
+            co[i] = (this.co[other.cp[i]] + other.co[i]) % 3;
+        }
+        const ep = new Array(12), eo = new Array(12);
+        for (let i = 0; i < 12; i++) {
+            ep[i] = this.ep[other.ep[i]];
+            eo[i] = (this.eo[other.ep[i]] + other.eo[i]) % 2;
+        }
+        this.cp = cp; this.co = co; this.ep = ep; this.eo = eo;
+        return this;
+    }
+
+    isSolved() {
+        return this.cp.every((c, i) => c === i) && this.co.every(o => o === 0)
+            && this.ep.every((e, i) => e === i) && this.eo.every(o => o === 0);
+    }
+
+    /**
+     * Throw if this is not a reachable cube state
+     * (duplicate cubies, twisted corner, flipped edge or parity mismatch).
+     */
+    verify() {
+        if (new Set(this.cp).size !== 8) throw new Error('Invalid cube: duplicate or missing corner');
+        if (new Set(this.ep).size !== 12) throw new Error('Invalid cube: duplicate or missing edge');
+        if (this.co.reduce((s, o) => s + o, 0) % 3 !== 0) throw new Error('Invalid cube: twisted corner');
+        if (this.eo.reduce((s, o) => s + o, 0) % 2 !== 0) throw new Error('Invalid cube: flipped edge');
+        if (parity(this.cp) !== parity(this.ep)) throw new Error('Invalid cube: swapped pieces (parity)');
+    }
+
+    /**
+     * Build a cubie cube from a 54-character URFDLB facelet string.
+     * Throws on stickers that do not form valid cubies.
+     * @param {string} facelets
+     * @returns {CubieCube}
+     */
+    static fromFacelets(facelets) {
+        const cube = new CubieCube();
+        for (let i = 0; i < 8; i++) {
+            const fl = CORNER_FACELETS[i];
+            let ori = 0;
+            while (ori < 3 && facelets[fl[ori]] !== 'U' && facelets[fl[ori]] !== 'D') ori++;
+            if (ori === 3) throw new Error('Invalid cube: corner without U/D sticker');
+            const c1 = facelets[fl[(ori + 1) % 3]], c2 = facelets[fl[(ori + 2) % 3]];
+            const j = CORNER_COLORS.findIndex(c => c[1] === c1 && c[2] === c2);
+            if (j < 0) throw new Error('Invalid cube: unknown corner');
+            cube.cp[i] = j;
+            cube.co[i] = ori % 3;
+        }
+        for (let i = 0; i < 12; i++) {
+            const a = facelets[EDGE_FACELETS[i][0]], b = facelets[EDGE_FACELETS[i][1]];
+            let j = EDGE_COLORS.findIndex(c => c[0] === a && c[1] === b);
+            if (j >= 0) { cube.ep[i] = j; cube.eo[i] = 0; continue; }
+            j = EDGE_COLORS.findIndex(c => c[0] === b && c[1] === a);
+            if (j < 0) throw new Error('Invalid cube: unknown edge');
+            cube.ep[i] = j;
+            cube.eo[i] = 1;
+        }
+        return cube;
+    }
+}
+
+function parity(perm) {
+    let p = 0;
+    for (let i = 0; i < perm.length; i++)
+        for (let j = i + 1; j < perm.length; j++)
+            if (perm[i] > perm[j]) p ^= 1;
+    return p;
+}
+
+// Basic face turns U R F D L B (clockwise quarter turns)
+export const BASIC_MOVES = [
+    new CubieCube([3, 0, 1, 2, 4, 5, 6, 7], [0, 0, 0, 0, 0, 0, 0, 0],
+                  [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    new CubieCube([4, 1, 2, 0, 7, 5, 6, 3], [2, 0, 0, 1, 1, 0, 0, 2],
+                  [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    new CubieCube([1, 5, 2, 3, 0, 4, 6, 7], [1, 2, 0, 0, 2, 1, 0, 0],
+                  [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]),
+    new CubieCube([0, 1, 2, 3, 5, 6, 7, 4], [0, 0, 0, 0, 0, 0, 0, 0],
+                  [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    new CubieCube([0, 2, 6, 3, 4, 1, 5, 7], [0, 1, 2, 0, 0, 2, 1, 0],
+                  [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    new CubieCube([0, 1, 3, 7, 4, 5, 2, 6], [0, 0, 1, 2, 0, 0, 2, 1],
+                  [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1]),
+];
+
+export const FACE_NAMES = 'URFDLB';
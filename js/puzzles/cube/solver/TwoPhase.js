@@ -0,0 +1,279 @@
+/**
+ * Kociemba two-phase solver for the 3×3×3 cube.
+ *
+ * Phase 1 reaches the subgroup <U, D, R2, L2, F2, B2> (all orientations solved,
+ * UD-slice edges in the slice); phase 2 solves within it. Move and pruning
+ * tables are built lazily on first use (a few seconds), so call this from a
+ * Web Worker. No DOM.
+ *
+ * Moves are indexed face * 3 + power - 1 with faces U R F D L B.
+ */
+import { CubieCube, BASIC_MOVES, FACE_NAMES } from './CubieCube.js';
+
+const N_TWIST = 2187;       // 3^7 corner orientations
+const N_FLIP = 2048;        // 2^11 edge orientations
+const N_SLICE = 495;        // C(12,4) positions of the UD-slice edges
+const N_PERM8 = 40320;      // 8! corner / U-D edge permutations
+const N_SLICE_PERM = 24;    // 4! slice edge permutations
+const N_MOVES = 18;
+
+// U1 U2 U3 R2 F2 D1 D2 D3 L2 B2
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+const IS_PHASE2_MOVE = new Array(N_MOVES).fill(false);
+for (const m of PHASE2_MOVES) IS_PHASE2_MOVE[m] = true;
+
+// ── Coordinates ─────────────────────────────────────────
+
+function binomial(n, k) {
+    if (k < 0 || k > n) return 0;
+    let r = 1;
+    for (let i = 0; i < k; i++) r = r * (n - i) / (i + 1);
+    return Math.round(r);
+}
+
+function permToIndex(perm) {
+    let idx = 0;
+    for (let i = 0; i < perm.length; i++) {
+        let smaller = 0;
+        for (let j = i + 1; j < perm.length; j++) if (perm[j] < perm[i]) smaller++;
+        idx = idx * (perm.length - i) + smaller;
+    }
+    return idx;
+}
+
+function indexToPerm(idx, n) {
+    const digits = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        digits[i] = idx % (n - i);
+        idx = Math.floor(idx / (n - i));
+    }
+    const pool = Array.from({ length: n }, (_, i) => i);
+    return digits.map(d => pool.splice(d, 1)[0]);
+}
+
+const getTwist = (c) => c.co.slice(0, 7).reduce((s, o) => s * 3 + o, 0);
+const getFlip = (c) => c.eo.slice(0, 11).reduce((s, o) => s * 2 + o, 0);
+
+function setTwist(c, twist) {
+    let sum = 0;
+    for (let i = 6; i >= 0; i--) {
+        c.co[i] = twist % 3;
+        sum += c.co[i];
+        twist = Math.floor(twist / 3);
+    }
+    c.co[7] = (3 - sum % 3) % 3;
+}
+
+function setFlip(c, flip) {
+    let sum = 0;
+    for (let i = 10; i >= 0; i--) {
+        c.eo[i] = flip % 2;
+        sum += c.eo[i];
+        flip = Math.floor(flip / 2);
+    }
+    c.eo[11] = sum % 2;
+}
+
+/** Which 4 of the 12 edge positions hold UD-slice edges (FR FL BL BR = 8..11). */
+function getSlice(c) {
+    let s = 0, x = 0;
+    for (let j = 11; j >= 0; j--) {
+        if (c.ep[j] >= 8) {
+            s += binomial(11 - j, x + 1);
+            x++;
+        }
+    }
+    return s;
+}
+
+function setSlice(c, slice) {
+    let x = 3, sliceEdge = 8, otherEdge = 0;
+    for (let j = 0; j < 12; j++) {
+        const b = x >= 0 ? binomial(11 - j, x + 1) : Infinity;
+        if (slice - b >= 0) {
+            c.ep[j] = sliceEdge++;
+            slice -= b;
+            x--;
+        } else {
+            c.ep[j] = otherEdge++;
+        }
+    }
+}
+
+const getCornerPerm = (c) => permToIndex(c.cp);
+const getEdgePerm8 = (c) => permToIndex(c.ep.slice(0, 8));
+const getSlicePerm = (c) => permToIndex(c.ep.slice(8).map(e => e - 8));
+
+// ── Tables ──────────────────────────────────────────────
+
+let tables = null;
+
+/** Tabulate coord × move → coord by applying each basic move three times. */
+function buildMoveTable(size, set, get, moves) {
+    const table = new Uint16Array(size * N_MOVES);
+    for (let i = 0; i < size; i++) {
+        const c = new CubieCube();
+        set(c, i);
+        for (let face = 0; face < 6; face++) {
+            for (let power = 0; power < 3; power++) {
+                c.multiply(BASIC_MOVES[face]);
+                table[i * N_MOVES + face * 3 + power] = get(c);
+            }
+            c.multiply(BASIC_MOVES[face]); // fourth turn restores the cube
+        }
+    }
+    // Phase-2 tables are only meaningful for phase-2 moves
+    if (moves !== PHASE2_MOVES) return table;
+    for (let i = 0; i < size; i++)
+        for (let m = 0; m < N_MOVES; m++)
+            if (!IS_PHASE2_MOVE[m]) table[i * N_MOVES + m] = 0;
+    return table;
+}
+
+/** Breadth-first distance table over the product of two coordinates. */
+function buildPruneTable(tableA, sizeA, tableB, sizeB, moves) {
+    const prune = new Int8Array(sizeA * sizeB).fill(-1);
+    prune[0] = 0;
+    let filled = 1, depth = 0;
+    while (filled < prune.length) {
+        let added = 0;
+        for (let i = 0; i < prune.length; i++) {
+            if (prune[i] !== depth) continue;
+            const a = Math.floor(i / sizeB), b = i % sizeB;
+            for (const m of moves) {
+                const j = tableA[a * N_MOVES + m] * sizeB + tableB[b * N_MOVES + m];
+                if (prune[j] === -1) {
+                    prune[j] = depth + 1;
+                    added++;
+                }
+            }
+        }
+        if (added === 0) break;
+        filled += added;
+        depth++;
+    }
+    return prune;
+}
+
+/** Build all move and pruning tables (idempotent). */
+export function initTables() {
+    if (tables) return;
+    const ALL = Array.from({ length: N_MOVES }, (_, i) => i);
+
+    const twistMove = buildMoveTable(N_TWIST, setTwist, getTwist, ALL);
+    const flipMove = buildMoveTable(N_FLIP, setFlip, getFlip, ALL);
+    const sliceMove = buildMoveTable(N_SLICE, setSlice, getSlice, ALL);
+    const cornerMove = buildMoveTable(N_PERM8,
+        (c, i) => { c.cp = indexToPerm(i, 8); }, getCornerPerm, PHASE2_MOVES);
+    const edge8Move = buildMoveTable(N_PERM8,
+        (c, i) => { c.ep = [...indexToPerm(i, 8), 8, 9, 10, 11]; }, getEdgePerm8, PHASE2_MOVES);
+    const slicePermMove = buildMoveTable(N_SLICE_PERM,
+        (c, i) => { c.ep = [0, 1, 2, 3, 4, 5, 6, 7, ...indexToPerm(i, 4).map(e => e + 8)]; },
+        getSlicePerm, PHASE2_MOVES);
+
+    tables = {
+        twistMove, flipMove, sliceMove, cornerMove, edge8Move, slicePermMove,
+        twistSlicePrune: buildPruneTable(twistMove, N_TWIST, sliceMove, N_SLICE, ALL),
+        flipSlicePrune: buildPruneTable(flipMove, N_FLIP, sliceMove, N_SLICE, ALL),
+        cornerSlicePrune: buildPruneTable(cornerMove, N_PERM8, slicePermMove, N_SLICE_PERM, PHASE2_MOVES),
+        edgeSlicePrune: buildPruneTable(edge8Move, N_PERM8, slicePermMove, N_SLICE_PERM, PHASE2_MOVES),
+    };
+}
+
+// ── Search ──────────────────────────────────────────────
+
+/** Faces may not repeat, and opposite faces are only searched in one order (U before D). */
+function skipFace(face, lastFace) {
+    return face === lastFace || lastFace - face === 3;
+}
+
+/**
+ * Solve a cube given as a 54-character URFDLB facelet string.
+ * @param {string} facelets
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=22] - Longest acceptable solution
+ * @param {number} [options.timeoutMs=20000]
+ * @returns {string} Solution in face-turn notation, e.g. "R U2 F' ..." ("" if solved)
+ */
+export function solve(facelets, { maxDepth = 22, timeoutMs = 20000 } = {}) {
+    const cube = CubieCube.fromFacelets(facelets);
+    cube.verify();
+    if (cube.isSolved()) return '';
+    initTables();
+    const t = tables;
+    const deadline = Date.now() + timeoutMs;
+    const path = [];
+    let nodes = 0;
+
+    const checkTime = () => {
+        if ((++nodes & 0xfff) === 0 && Date.now() > deadline) throw new Error('Solver timed out');
+    };
+
+    const phase2 = (corner, edge8, slicePerm, togo, lastFace) => {
+        if (togo === 0) return corner === 0 && edge8 === 0 && slicePerm === 0;
+        for (const m of PHASE2_MOVES) {
+            const face = Math.floor(m / 3);
+            if (skipFace(face, lastFace)) continue;
+            const nc = t.cornerMove[corner * N_MOVES + m];
+            const ne = t.edge8Move[edge8 * N_MOVES + m];
+            const ns = t.slicePermMove[slicePerm * N_MOVES + m];
+            const dist = Math.max(t.cornerSlicePrune[nc * N_SLICE_PERM + ns],
+                                  t.edgeSlicePrune[ne * N_SLICE_PERM + ns]);
+            if (dist >= togo) continue;
+            checkTime();
+            path.push(m);
+            if (phase2(nc, ne, ns, togo - 1, face)) return true;
+            path.pop();
+        }
+        return false;
+    };
+
+    const startPhase2 = (maxLength) => {
+        const c = cube.clone();
+        for (const m of path) {
+            const face = Math.floor(m / 3);
+            for (let k = 0; k <= m % 3; k++) c.multiply(BASIC_MOVES[face]);
+        }
+        const corner = getCornerPerm(c), edge8 = getEdgePerm8(c), slicePerm = getSlicePerm(c);
+        const lower = Math.max(t.cornerSlicePrune[corner * N_SLICE_PERM + slicePerm],
+                               t.edgeSlicePrune[edge8 * N_SLICE_PERM + slicePerm]);
+        const lastFace = path.length ? Math.floor(path[path.length - 1] / 3) : -1;
+        for (let depth = lower; depth <= maxLength; depth++) {
+            if (phase2(corner, edge8, slicePerm, depth, lastFace)) return true;
+        }
+        return false;
+    };
+
+    const phase1 = (twist, flip, slice, togo, lastFace) => {
+        if (togo === 0) {
+            // A phase-2 move here means a shorter phase-1 path was already tried
+            if (path.length > 0 && IS_PHASE2_MOVE[path[path.length - 1]]) return false;
+            return startPhase2(maxDepth - path.length);
+        }
+        for (let m = 0; m < N_MOVES; m++) {
+            const face = Math.floor(m / 3);
+            if (skipFace(face, lastFace)) continue;
+            const nt = t.twistMove[twist * N_MOVES + m];
+            const nf = t.flipMove[flip * N_MOVES + m];
+            const ns = t.sliceMove[slice * N_MOVES + m];
+            const dist = Math.max(t.twistSlicePrune[nt * N_SLICE + ns],
+                                  t.flipSlicePrune[nf * N_SLICE + ns]);
+            if (dist >= togo) continue;
+            checkTime();
+            path.push(m);
+            if (phase1(nt, nf, ns, togo - 1, face)) return true;
+            path.pop();
+        }
+        return false;
+    };
+
+    const twist = getTwist(cube), flip = getFlip(cube), slice = getSlice(cube);
+    const lower = Math.max(t.twistSlicePrune[twist * N_SLICE + slice],
+                           t.flipSlicePrune[flip * N_SLICE + slice]);
+    for (let depth = lower; depth <= maxDepth; depth++) {
+        if (phase1(twist, flip, slice, depth, -1)) {
+            return path.map(m => FACE_NAMES[Math.floor(m / 3)] + ['', '2', "'"][m % 3]).join(' ');
+        }
+    }
+    throw new Error(`No solution within ${maxDepth} moves`);
+}
@@ -0,0 +1,22 @@
+/**
+ * Web Worker entry for the two-phase solver. Keeps table generation and
+ * search off the main thread so the render loop never stalls.
+ *
+ * Messages in:  { id, type: 'init' } | { id, type: 'solve', facelets, options }
+ * Messages out: { id, solution } | { id, error }
+ */
+import { solve, initTables } from './TwoPhase.js';
+
+self.onmessage = (e) => {
+    const { id, type, facelets, options } = e.data;
+    try {
+        if (type === 'init') {
+            initTables();
+            self.postMessage({ id, solution: null });
+        } else {
+            self.postMessage({ id, solution: solve(facelets, options) });
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,181 @@
+import { CubePuzzle } from '../cube/CubePuzzle.js';
+import { UnfoldedNetView } from '../UnfoldedNetView.js';
+import {
+    CUBIE_SIZE, FACE_DEFS, FACE_INFO, NOTATION_FACES, SLICE_REF, ROTATION_REF, faceColorIndex,
+} from '../cube/CubeConstants.js';
+
+const SIZE_KEYS = ['X', 'Y', 'Z'];
+
+/**
+ * Cuboids (N×M×K), e.g. 2×2×3, 3×3×4 or the 1×3×3 Floppy.
+ *
+ * Reuses the cube's cubie geometry, coloring and notation, with a size per
+ * axis. A layer can only make quarter turns when its cross-section is
+ * square; otherwise its moves are half turns, stored as a single move with
+ * dir ±2 so the renderer animates the full 180°.
+ */
+export class CuboidPuzzle extends CubePuzzle {
+
+    get name() { return 'Cuboid'; }
+    get id() { return 'cuboid'; }
+
+    get defaultConfig() {
+        return { X: 2, Y: 3, Z: 2, selectedDepth: 1 };
+    }
+
+    get configParams() {
+        return [
+            { key: 'X', label: 'Width', type: 'number', min: 1, max: 7, default: 2 },
+            { key: 'Y', label: 'Height', type: 'number', min: 1, max: 7, default: 3 },
+            { key: 'Z', label: 'Depth', type: 'number', min: 1, max: 7, default: 2 },
+        ];
+    }
+
+    onConfigChange(config) {
+        config.dims = SIZE_KEYS.map(k => config[k]);
+        config.halves = config.dims.map(n => (n - 1) / 2);
+        // N drives layer-depth keys; spacing fits the longest side
+        config.N = Math.max(...config.dims);
+        config.spacing = Math.floor(310 / config.N);
+    }
+
+    /** Whether layers turning about `axis` have a square cross-section (quarter turns allowed). */
+    canQuarterTurn(axis, config) {
+        const [a, b] = [0, 1, 2].filter(i => i !== axis);
+        return config.dims[a] === config.dims[b];
+    }
+
+    /** The config seen along one axis, so cube code sized by N and half applies. */
+    _axisConfig(axis, config) {
+        return { ...config, N: config.dims[axis], half: config.halves[axis] };
+    }
+
+    /** Make a quarter-turn move legal on its axis: doubled to a half turn where needed. */
+    _legalize(move, config) {
+        if (Math.abs(move.dir) === 2 || this.canQuarterTurn(move.axis, config)) return move;
+        return { ...move, dir: move.dir * 2 };
+    }
+
+    resolveMove(baseMove, reversed, config) {
+        const half = config.halves[baseMove.axis];
+        const depth = Math.min(config.selectedDepth, config.dims[baseMove.axis]);
+        const layer = baseMove.side * (half - (depth - 1));
+        const dir = reversed ? -baseMove.dir : baseMove.dir;
+        return this._legalize({ axis: baseMove.axis, layer, dir }, config);
+    }
+
+    generateScramble(config) {
+        const moves = [];
+        let lastAxis = -1;
+        const numMoves = config.dims.reduce((s, n) => s + n, 0) * 5;
+        // Turning the only layer of a 1-thick axis just rotates the puzzle
+        const axes = [0, 1, 2].filter(a => config.dims[a] > 1);
+        if (axes.length === 0) return moves;
+        for (let i = 0; i < numMoves; i++) {
+            let axis;
+            do { axis = axes[Math.floor(Math.random() * axes.length)]; } while (axis === lastAxis && axes.length > 1);
+            const layer = Math.floor(Math.random() * config.dims[axis]) - config.halves[axis];
+            const dir = Math.random() < 0.5 ? 1 : -1;
+            moves.push(this._legalize({ axis, layer, dir }, config));
+            lastAxis = axis;
+        }
+        return moves;
+    }
+
+    createPieces(config) {
+        const { dims, halves } = config;
+        const S = CUBIE_SIZE;
+        const cubies = [];
+        for (let xi = 0; xi < dims[0]; xi++) {
+            for (let yi = 0; yi < dims[1]; yi++) {
+                for (let zi = 0; zi < dims[2]; zi++) {
+                    const coords = [xi, yi, zi];
+                    // Interior cubies are never visible
+                    if (coords.every((c, a) => c > 0 && c < dims[a] - 1)) continue;
+                    const [x, y, z] = coords.map((c, a) => c - halves[a]);
+                    const corners = [];
+                    for (let cx = -1; cx <= 1; cx += 2)
+                        for (let cy = -1; cy <= 1; cy += 2)
+                            for (let cz = -1; cz <= 1; cz += 2)
+                                corners.push([x + cx * S, y + cy * S, z + cz * S]);
+                    const stickers = new Array(6).fill(null);
+                    for (let defIdx = 0; defIdx < FACE_DEFS.length; defIdx++) {
+                        const def = FACE_DEFS[defIdx];
+                        if ((def.dir === -1 && coords[def.axis] === 0) ||
+                            (def.dir === 1 && coords[def.axis] === dims[def.axis] - 1)) {
+                            stickers[defIdx] = { faceId: faceColorIndex(def.axis, def.dir) };
+                        }
+                    }
+                    cubies.push({ m: [x, y, z], p: corners, stickers });
+                }
+            }
+        }
+        return cubies;
+    }
+
+    /** Half turns (dir ±2) are applied as two quarter turns. */
+    applyRotation(pieces, move) {
+        if (Math.abs(move.dir) !== 2) {
+            super.applyRotation(pieces, move);
+            return;
+        }
+        const quarter = { ...move, dir: Math.sign(move.dir) };
+        super.applyRotation(pieces, quarter);
+        super.applyRotation(pieces, quarter);
+    }
+
+    getFaceColor(piece, faceIndex, config) {
+        if (faceIndex < 0 || faceIndex > 5) return null;
+        return super.getFaceColor(piece, faceIndex, this._axisConfig(FACE_INFO[faceIndex].axis, config));
+    }
+
+    // ── Notation ─────────────────────────────────────────────
+
+    /**
+     * Cube notation, sized per axis. On axes without a square cross-section
+     * only half turns (R2, Uw2, x2, ...) are accepted; a quarter turn there
+     * is not a move of this cuboid.
+     */
+    parseMove(token, config) {
+        const letter = token.match(/[UDLRFBudlrfbMESxyz]/)?.[0];
+        if (!letter) return null;
+        const ref = SLICE_REF[letter] || ROTATION_REF[letter] || letter.toUpperCase();
+        const axis = NOTATION_FACES[ref].axis;
+        const moves = super.parseMove(token, this._axisConfig(axis, config));
+        if (!moves || this.canQuarterTurn(axis, config)) return moves;
+        if (moves.length === 1) return null;
+        return moves.length ? [{ ...moves[0], dir: moves[0].dir * 2 }] : [];
+    }
+
+    formatMove(move, config) {
+        const axisConfig = this._axisConfig(move.axis, config);
+        if (Math.abs(move.dir) !== 2) return super.formatMove(move, axisConfig);
+        const quarter = super.formatMove({ ...move, dir: Math.sign(move.dir) }, axisConfig);
+        return quarter && quarter.replace(/'$/, '') + '2';
+    }
+
+    /** Expand half turns so repeats merge like quarter turns ("R2 R2" cancels). */
+    formatAlgorithm(moves, config) {
+        const quarters = moves.flatMap(m => {
+            if (Math.abs(m.dir) !== 2) return [m];
+            const quarter = { ...m, dir: Math.sign(m.dir) };
+            return [quarter, quarter];
+        });
+        return super.formatAlgorithm(quarters, config);
+    }
+
+    // ── Arrow-key move resolution ─────────────────────────────
+
+    resolveArrowMove(piece, faceIndex, screenDir, viewYaw, viewPitch, config) {
+        const move = super.resolveArrowMove(piece, faceIndex, screenDir, viewYaw, viewPitch, config);
+        return move && this._legalize(move, config);
+    }
+
+    // ── Cube-only features ───────────────────────────────────
+
+    get hasFacelets() { return false; }
+    get hasBandaging() { return false; }
+    canSolve() { return false; }
+    /** The cube's trefoil and cross nets assume N×N×N; use the generated net. */
+    create2DView(canvas) { return new UnfoldedNetView(canvas, this); }
+}
@@ -0,0 +1,316 @@
+import { PuzzleDefinition, PIECE_GAP } from '../PuzzleDefinition.js';
+import { rotatePointAroundAxis } from '../../engine/math.js';
+import { parseAmount } from '../../engine/notation.js';
+import { SOLIDS } from './polyhedra.js';
+import { sliceSolid } from './slicing.js';
+
+/**
+ * @typedef {Object} CutPuzzleSpec
+ * @property {string} id - Registry slug
+ * @property {string} name
+ * @property {'tetra'|'cube'|'octa'|'dodeca'|'icosa'|{ normals: Array<number[]> }} solid -
+ *   Base polyhedron, by name or as its unit face normals (inradius 1), e.g. a
+ *   solid turned to another orientation
+ * @property {Array<CutAxisSpec>} axes
+ * @property {Object<number, string>} [colors] - Color per solid face; defaults per solid
+ * @property {number} [scrambleLength=25]
+ * @property {{ yaw: number, pitch: number }} [viewAngles]
+ *
+ * @typedef {Object} CutAxisSpec
+ * @property {string} name - Notation for turning the outer layer, e.g. "R" or "UFR"
+ * @property {string} [key] - Keyboard key for the outer layer (Shift reverses)
+ * @property {number[]} vector - Axis direction; need not be normalized
+ * @property {number[]} cuts - Depths of the cut planes perpendicular to the
+ *   axis, in units of the inradius (0 = through the center)
+ * @property {number} order - Turns per full rotation (4 = 90°, 3 = 120°, 2 = 180°)
+ */
+
+const EPS = 1e-6;
+
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const centroid = (verts) => [0, 1, 2].map(i => verts.reduce((s, v) => s + v[i], 0) / verts.length);
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/** Newell normal of a polygon (robust to repeated vertices). */
+function polygonNormal(verts) {
+    const n = [0, 0, 0];
+    verts.forEach((a, i) => {
+        const b = verts[(i + 1) % verts.length];
+        n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return n;
+}
+
+// Sliced geometry per spec, shared by every instance
+const TEMPLATES = new WeakMap();
+
+/**
+ * A puzzle built from a declarative spec: a base solid plus rotation axes
+ * with cut-plane depths and turn orders. The solid is sliced by every cut
+ * plane; each resulting cell carrying a sticker becomes a piece.
+ *
+ * Moves are { axisIndex, axis, slab, dir }: `slab` counts the layers between
+ * an axis' cuts from its negative end (the highest slab holds the axis tip),
+ * `axis` is the unit vector used for animation, and `dir` counts
+ * moveAngle steps, so axes of different orders share one moveAngle.
+ *
+ *   new CutPuzzle({ id: 'dino', name: 'Dino Cube', solid: 'cube', axes: [...] })
+ */
+export class CutPuzzle extends PuzzleDefinition {
+    /** @param {CutPuzzleSpec} spec */
+    constructor(spec) {
+        super();
+        const solid = typeof spec.solid === 'string' ? SOLIDS[spec.solid] : spec.solid;
+        if (!solid) throw new Error(`Unknown solid "${spec.solid}"`);
+        this.spec = spec;
+        this.solid = solid;
+        this.axes = spec.axes.map((a, index) => {
+            const len = Math.hypot(a.vector[0], a.vector[1], a.vector[2]);
+            return { ...a, index, vector: a.vector.map(c => c / len), cuts: [...a.cuts].sort((x, y) => x - y) };
+        });
+        // One step per 1/lcm of a turn, so every axis turns a whole number of steps
+        this.steps = this.axes.reduce((l, a) => (l * a.order) / gcd(l, a.order), 1);
+
+        if (!TEMPLATES.has(spec)) TEMPLATES.set(spec, this._buildTemplate());
+        this.template = TEMPLATES.get(spec);
+    }
+
+    // ── Identity ──────────────────────────────────────────
+    get name()         { return this.spec.name; }
+    get id()           { return this.spec.id; }
+    get colors()       { return this.spec.colors ?? this.solid.colors; }
+    get faceCount()    { return this.solid.normals.length; }
+    get faceDefs()     { return this.template.faceDefs; }
+    get vertsPerFace() { return this.template.vertsPerFace; }
+    get moveAngle()    { return (2 * Math.PI) / this.steps; }
+
+    get defaultViewAngles() { return this.spec.viewAngles ?? super.defaultViewAngles; }
+
+    // ── Configuration ─────────────────────────────────────
+    get defaultConfig() { return { selectedDepth: 1 }; }
+    get configParams()  { return []; }
+
+    /** Scale so the solid spans the same screen size as the cube. */
+    onConfigChange(config) { config.spacing = 260 / this.template.radius; }
+
+    getSpacing(config) { return config.spacing; }
+
+    // ── Geometry ──────────────────────────────────────────
+
+    /**
+     * Slice the solid and lay out each cell as a piece: every face padded to
+     * the same vertex count and every piece to the same number of face slots
+     * (unused slots collapse to the piece center and are culled).
+     */
+    _buildTemplate() {
+        const planes = this.axes.flatMap(a => a.cuts.map(depth => ({ normal: a.vector, depth })));
+        const cells = sliceSolid(this.solid.normals, planes).filter(cell => cell.some(f => f.faceId >= 0));
+        const faceSlots = Math.max(...cells.map(cell => cell.length));
+        const vertsPerFace = Math.max(...cells.flatMap(cell => cell.map(f => f.verts.length)));
+
+        const pieces = cells.map(cell => {
+            const unique = [];
+            for (const v of cell.flatMap(f => f.verts)) {
+                if (!unique.some(u => Math.abs(u[0] - v[0]) + Math.abs(u[1] - v[1]) + Math.abs(u[2] - v[2]) < EPS)) unique.push(v);
+            }
+            const m = centroid(unique);
+            const p = [];
+            const stickers = new Array(faceSlots).fill(null);
+            for (let slot = 0; slot < faceSlots; slot++) {
+                const face = cell[slot];
+                if (!face) {
+                    for (let i = 0; i < vertsPerFace; i++) p.push([...m]);
+                    continue;
+                }
+                let verts = face.verts;
+                if (dot3(polygonNormal(verts), sub3(centroid(verts), m)) < 0) verts = [...verts].reverse();
+                for (let i = 0; i < vertsPerFace; i++) {
+                    const v = verts[Math.min(i, verts.length - 1)];
+                    p.push(v.map((x, k) => m[k] + (x - m[k]) * PIECE_GAP));
+                }
+                if (face.faceId >= 0) stickers[slot] = { faceId: face.faceId };
+            }
+            return { m, p, stickers };
+        });
+
+        return {
+            pieces,
+            faceSlots,
+            vertsPerFace,
+            faceDefs: Array.from({ length: faceSlots }, (_, f) => ({
+                idx: Array.from({ length: vertsPerFace }, (_, i) => f * vertsPerFace + i),
+            })),
+            radius: Math.max(...pieces.flatMap(piece => piece.p.map(v => Math.hypot(v[0], v[1], v[2])))),
+        };
+    }
+
+    createPieces(config) {
+        return structuredClone(this.template.pieces);
+    }
+
+    // ── Moves ─────────────────────────────────────────────
+
+    /** Keyboard keys from the spec: each turns its axis' outer layer one turn clockwise. */
+    get baseMoves() {
+        const moves = {};
+        for (const axis of this.axes) {
+            if (axis.key) moves[axis.key.toLowerCase()] = { axisIndex: axis.index, turns: 1, label: axis.name };
+        }
+        return moves;
+    }
+
+    /** Layer depth counts slabs inward from the axis tip. */
+    resolveMove(baseMove, reversed, config) {
+        const axis = this.axes[baseMove.axisIndex];
+        const depth = Math.max(1, config.selectedDepth ?? 1);
+        const slab = Math.max(0, axis.cuts.length + 1 - depth);
+        return this._move(axis, slab, reversed ? -baseMove.turns : baseMove.turns);
+    }
+
+    /** A move of `turns` clockwise turns (seen from the axis tip), reduced to the shortest way round. */
+    _move(axis, slab, turns) {
+        let t = ((turns % axis.order) + axis.order) % axis.order;
+        if (t > axis.order / 2) t -= axis.order;
+        return { axisIndex: axis.index, axis: axis.vector, slab, dir: t * (this.steps / axis.order) };
+    }
+
+    _turns(move) {
+        return move.dir / (this.steps / this.axes[move.axisIndex].order);
+    }
+
+    /** Projection range of a move's slab along its axis. */
+    _slabRange(move) {
+        const cuts = this.axes[move.axisIndex].cuts;
+        return [cuts[move.slab - 1] ?? -Infinity, cuts[move.slab] ?? Infinity];
+    }
+
+    isPieceInMove(piece, move) {
+        const [lo, hi] = this._slabRange(move);
+        const s = dot3(piece.m, move.axis);
+        return s > lo && s < hi;
+    }
+
+    /** Blocked when some piece straddles the slab's cut planes (the puzzle would jam). */
+    isMoveBlocked(pieces, move) {
+        const [lo, hi] = this._slabRange(move);
+        for (const piece of pieces) {
+            const inside = this.isPieceInMove(piece, move);
+            for (const v of piece.p) {
+                const s = dot3(v, move.axis);
+                if (inside ? (s < lo - EPS || s > hi + EPS) : (s > lo + EPS && s < hi - EPS)) return true;
+            }
+        }
+        return false;
+    }
+
+    get blockedReason() { return 'a piece straddles the cut'; }
+
+    applyRotation(pieces, move) {
+        if (this.isMoveBlocked(pieces, move)) throw new Error(`Move is blocked: ${this.blockedReason}`);
+        const angle = this.moveAngle * move.dir;
+        for (const piece of pieces) {
+            if (!this.isPieceInMove(piece, move)) continue;
+            for (let i = 0; i < piece.p.length; i++) {
+                piece.p[i] = rotatePointAroundAxis(piece.p[i], move.axis, angle);
+            }
+            piece.m = rotatePointAroundAxis(piece.m, move.axis, angle);
+        }
+    }
+
+    // ── Color / Rendering ─────────────────────────────────
+    getStickerColor(piece, slot) {
+        if (slot < 0 || slot >= this.template.faceSlots) return null;
+        const sticker = piece.stickers[slot];
+        return sticker ? sticker.faceId : null;
+    }
+
+    detectWorldFace(piece, faceVerts) {
+        const n = polygonNormal(faceVerts);
+        const len = Math.hypot(n[0], n[1], n[2]);
+        if (len < 1e-9) return -1;
+        let best = -1, bestDot = -Infinity;
+        this.solid.normals.forEach((normal, i) => {
+            const d = dot3(n, normal) / len;
+            if (d > bestDot) { bestDot = d; best = i; }
+        });
+        return bestDot > 0.9 ? best : -1;
+    }
+
+    /** Solved when each world face shows a single color. */
+    isSolved(pieces) {
+        const faceColor = new Array(this.faceCount).fill(null);
+        for (const piece of pieces) {
+            for (let slot = 0; slot < this.template.faceSlots; slot++) {
+                const sticker = piece.stickers[slot];
+                if (!sticker) continue;
+                const face = this.detectWorldFace(piece, this.faceDefs[slot].idx.map(i => piece.p[i]));
+                if (face < 0) return false;
+                if (faceColor[face] === null) faceColor[face] = sticker.faceId;
+                else if (faceColor[face] !== sticker.faceId) return false;
+            }
+        }
+        return true;
+    }
+
+    // ── Notation ──────────────────────────────────────────
+    get hasNotation() { return true; }
+
+    /** Axis names with an optional amount and prime ("R", "UFR'", "F2"); outer layers only. */
+    parseMove(token, config) {
+        const m = token.match(/^([A-Za-z]+)(\d*)('?)$/);
+        const axis = m && this.axes.find(a => a.name === m[1]);
+        const amount = m && parseAmount(m[2], m[3]);
+        if (!axis || !amount) return null;
+        const move = this._move(axis, axis.cuts.length, amount);
+        return move.dir ? [move] : [];
+    }
+
+    formatMove(move, config) {
+        const axis = this.axes[move.axisIndex];
+        if (!axis || move.slab !== axis.cuts.length) return null;
+        const turns = this._turns(move);
+        const n = Math.abs(turns);
+        return axis.name + (n > 1 ? n : '') + (turns < 0 ? "'" : '');
+    }
+
+    /** Merge consecutive turns of the same layer, each axis modulo its own order. */
+    formatAlgorithm(moves, config) {
+        const merged = [];
+        for (const move of moves) {
+            const last = merged[merged.length - 1];
+            if (last && last.axisIndex === move.axisIndex && last.slab === move.slab) {
+                const axis = this.axes[move.axisIndex];
+                merged[merged.length - 1] = this._move(axis, move.slab, this._turns(last) + this._turns(move));
+            } else {
+                merged.push(move);
+            }
+            if (merged[merged.length - 1].dir === 0) merged.pop();
+        }
+        return merged.map(m => this.formatMove(m, config) ?? '?').join(' ');
+    }
+
+    // ── Scramble ──────────────────────────────────────────
+
+    /** Random outer-layer turns, never the same axis twice in a row, skipping blocked moves. */
+    generateScramble(config, pieces) {
+        const state = structuredClone(pieces ?? this.createPieces(config));
+        const length = this.spec.scrambleLength ?? 25;
+        const moves = [];
+        let last = -1;
+        for (let i = 0; i < length; i++) {
+            const options = this.axes
+                .filter(axis => axis.index !== last)
+                .flatMap(axis => Array.from({ length: axis.order - 1 }, (_, t) => this._move(axis, axis.cuts.length, t + 1)))
+                .filter(move => !this.isMoveBlocked(state, move));
+            if (!options.length) break;
+            const move = options[Math.floor(Math.random() * options.length)];
+            this.applyRotation(state, move);
+            moves.push(move);
+            last = move.axisIndex;
+        }
+        return moves;
+    }
+}
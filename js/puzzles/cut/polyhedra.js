@@ -0,0 +1,56 @@
+/**
+ * Base solids for cut-plane puzzles, each given by its outward face normals.
+ * Every solid is scaled to inradius 1 (face i is the plane normals[i]·x = 1),
+ * so cut depths in a puzzle spec are fractions of the center-to-face distance.
+ * Coordinates follow the cube: Y- is up, X+ right, Z+ front.
+ */
+import { COLORS as CUBE_COLORS } from '../cube/CubeConstants.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const unit = (v) => {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return v.map(c => c / len);
+};
+
+/** Every sign combination of a vector's nonzero coordinates. */
+function signs(v) {
+    let out = [[]];
+    for (const c of v) out = out.flatMap(p => (c === 0 ? [[...p, 0]] : [[...p, c], [...p, -c]]));
+    return out;
+}
+
+/** The three cyclic coordinate permutations of each vector. */
+const cyclic = (vs) => vs.flatMap(([a, b, c]) => [[a, b, c], [b, c, a], [c, a, b]]);
+
+// Fallback colors for solids with more faces than a puzzle's palette names
+const PALETTE = [
+    '#FFFFFF', '#FFD700', '#CC0000', '#FF6600', '#006400', '#90EE90', '#0000CD',
+    '#87CEEB', '#6A0DAD', '#FF69B4', '#808080', '#DEB887', '#00CED1', '#8B4513',
+    '#FF1493', '#ADFF2F', '#4B0082', '#F0E68C', '#2F4F4F', '#FA8072',
+];
+const palette = (n) => Object.fromEntries(PALETTE.slice(0, n).map((c, i) => [i, c]));
+
+/** Solids by name: unit face normals and a default color per face. */
+export const SOLIDS = {
+    tetra: {
+        normals: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]].map(unit),
+        colors: { 0: '#FF3B30', 1: '#00AA00', 2: '#0066CC', 3: '#FFD700' },
+    },
+    // Same face order and palette as the Rubik's Cube: U D L R F B
+    cube: {
+        normals: [[0, -1, 0], [0, 1, 0], [-1, 0, 0], [1, 0, 0], [0, 0, 1], [0, 0, -1]],
+        colors: CUBE_COLORS,
+    },
+    octa: {
+        normals: signs([1, 1, 1]).map(unit),
+        colors: palette(8),
+    },
+    dodeca: {
+        normals: cyclic(signs([0, 1, PHI])).map(unit),
+        colors: palette(12),
+    },
+    icosa: {
+        normals: [...signs([1, 1, 1]), ...cyclic(signs([0, 1 / PHI, PHI]))].map(unit),
+        colors: palette(20),
+    },
+};
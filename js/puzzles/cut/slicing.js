@@ -0,0 +1,126 @@
+/**
+ * Convex slicing for cut-plane puzzles. A cell is a convex polyhedron given
+ * as a list of faces { verts, faceId }: verts wound counter-clockwise seen
+ * from outside, faceId the solid face it lies on, or -1 for a cut.
+ *
+ * No DOM — pure geometry.
+ */
+
+const EPS = 1e-7;
+
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const lerp3 = (a, b, t) => [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1]), a[2] + t * (b[2] - a[2])];
+const near = (a, b) => Math.abs(a[0] - b[0]) < EPS && Math.abs(a[1] - b[1]) < EPS && Math.abs(a[2] - b[2]) < EPS;
+
+/** Drop repeated and collinear vertices; null if fewer than 3 remain. */
+function tidy(verts) {
+    let out = verts.filter((v, i) => !near(v, verts[(i + 1) % verts.length]));
+    for (let changed = true; changed && out.length >= 3;) {
+        changed = false;
+        for (let i = 0; i < out.length; i++) {
+            const a = out[(i + out.length - 1) % out.length], b = out[i], c = out[(i + 1) % out.length];
+            const n = cross3(sub3(b, a), sub3(c, b));
+            if (Math.hypot(n[0], n[1], n[2]) < EPS) {
+                out.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return out.length >= 3 ? out : null;
+}
+
+/** Order points lying in a plane counter-clockwise as seen from the tip of `normal`. */
+function orderAround(points, normal) {
+    const c = points.reduce((s, p) => [s[0] + p[0], s[1] + p[1], s[2] + p[2]], [0, 0, 0]).map(x => x / points.length);
+    const ref = Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const u = cross3(ref, normal);
+    const v = cross3(normal, u);
+    const angle = (p) => Math.atan2(dot3(sub3(p, c), v), dot3(sub3(p, c), u));
+    return [...points].sort((a, b) => angle(a) - angle(b));
+}
+
+/**
+ * Split a cell by the plane normal·x = depth.
+ * @param {Array<Object>} cell
+ * @param {number[]} normal - Unit vector
+ * @param {number} depth
+ * @param {number} capId - faceId for the new faces on the plane
+ * @returns {[Array<Object>|null, Array<Object>|null]} The parts below and above the plane
+ */
+export function splitCell(cell, normal, depth, capId) {
+    const side = (v) => dot3(v, normal) - depth;
+    const all = cell.flatMap(f => f.verts.map(side));
+    if (all.every(s => s < EPS)) return [cell, null];
+    if (all.every(s => s > -EPS)) return [null, cell];
+
+    const below = [], above = [], onPlane = [];
+    for (const face of cell) {
+        const lo = [], hi = [];
+        face.verts.forEach((a, i) => {
+            const b = face.verts[(i + 1) % face.verts.length];
+            const sa = side(a), sb = side(b);
+            if (sa < EPS) lo.push(a);
+            if (sa > -EPS) hi.push(a);
+            if (Math.abs(sa) < EPS) onPlane.push(a);
+            if ((sa < -EPS && sb > EPS) || (sa > EPS && sb < -EPS)) {
+                const p = lerp3(a, b, sa / (sa - sb));
+                lo.push(p);
+                hi.push(p);
+                onPlane.push(p);
+            }
+        });
+        const loVerts = tidy(lo), hiVerts = tidy(hi);
+        if (loVerts) below.push({ verts: loVerts, faceId: face.faceId });
+        if (hiVerts) above.push({ verts: hiVerts, faceId: face.faceId });
+    }
+
+    const unique = onPlane.filter((p, i) => onPlane.findIndex(q => near(p, q)) === i);
+    const cap = tidy(orderAround(unique, normal));
+    if (cap) {
+        below.push({ verts: cap, faceId: capId });
+        above.push({ verts: [...cap].reverse(), faceId: capId });
+    }
+    return [below, above];
+}
+
+/**
+ * Intersect the half-spaces normals[i]·x ≤ 1 into a solid, then slice it
+ * by every cut plane.
+ * @param {Array<number[]>} normals - Unit face normals of the solid
+ * @param {Array<{ normal: number[], depth: number }>} planes - Cut planes
+ * @returns {Array<Array<Object>>} Cells, each a list of { verts, faceId }
+ */
+export function sliceSolid(normals, planes) {
+    // Start from a box that contains any solid of inradius 1
+    const R = 4;
+    const box = [];
+    for (let axis = 0; axis < 3; axis++) {
+        for (const sign of [-1, 1]) {
+            const normal = [0, 0, 0];
+            normal[axis] = sign;
+            const [u, v] = [0, 1, 2].filter(i => i !== axis);
+            const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([a, b]) => {
+                const p = [0, 0, 0];
+                p[axis] = sign * R;
+                p[u] = a * R;
+                p[v] = b * R;
+                return p;
+            });
+            box.push({ verts: orderAround(corners, normal), faceId: -1 });
+        }
+    }
+
+    let solid = box;
+    normals.forEach((normal, faceId) => {
+        solid = splitCell(solid, normal, 1, faceId)[0];
+    });
+
+    let cells = [solid];
+    for (const { normal, depth } of planes) {
+        cells = cells.flatMap(cell => splitCell(cell, normal, depth, -1).filter(Boolean));
+    }
+    return cells;
+}
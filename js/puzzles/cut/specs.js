@@ -0,0 +1,39 @@
+/**
+ * Puzzles defined purely as CutPuzzle specs.
+ * Coordinates follow the cube: Y- is up (U), X+ right (R), Z+ front (F).
+ */
+
+/** Notation name of a cube corner or edge direction, e.g. [1, -1, 1] → "UFR". */
+function cubeName([x, y, z]) {
+    return (y < 0 ? 'U' : y > 0 ? 'D' : '') + (z > 0 ? 'F' : z < 0 ? 'B' : '') + (x > 0 ? 'R' : x < 0 ? 'L' : '');
+}
+
+const axis = (vector, key, cuts, order) => ({ name: cubeName(vector), key, vector, cuts, order });
+
+/** Dino Cube: 120° corner turns, cut through the three neighbouring corners. */
+export const DINO_CUBE = {
+    id: 'dino',
+    name: 'Dino Cube',
+    solid: 'cube',
+    axes: [
+        [[-1, -1, 1], 'q'], [[1, -1, 1], 'w'], [[1, -1, -1], 'e'], [[-1, -1, -1], 'r'],
+        [[-1, 1, 1], 'a'], [[1, 1, 1], 's'], [[1, 1, -1], 'd'], [[-1, 1, -1], 'f'],
+    ].map(([v, key]) => axis(v, key, [1 / Math.sqrt(3)], 3)),
+    scrambleLength: 20,
+};
+
+/**
+ * Helicopter Cube with flat cuts: 180° edge turns, cut through the centers
+ * of the two faces meeting at the edge. Half turns only, so it never jumbles.
+ */
+export const HELICOPTER_CUBE = {
+    id: 'helicopter',
+    name: 'Helicopter Cube',
+    solid: 'cube',
+    axes: [
+        [[0, -1, 1], 'q'], [[1, -1, 0], 'w'], [[0, -1, -1], 'e'], [[-1, -1, 0], 'r'],
+        [[1, 0, 1], 'a'], [[-1, 0, 1], 's'], [[1, 0, -1], 'd'], [[-1, 0, -1], 'f'],
+        [[0, 1, 1], 'z'], [[1, 1, 0], 'x'], [[0, 1, -1], 'c'], [[-1, 1, 0], 'v'],
+    ].map(([v, key]) => axis(v, key, [1 / Math.sqrt(2)], 2)),
+    scrambleLength: 25,
+};
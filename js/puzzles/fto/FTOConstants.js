@@ -0,0 +1,42 @@
+/**
+ * Shared constants for the Face-Turning Octahedron.
+ *
+ * The octahedron sits with a face on top: U is horizontal, F, BL and BR
+ * share an edge with it, and each face at index i + 4 is opposite face i.
+ * Every face turns a layer bounded by a cut plane at a third of the way
+ * from the center to the face, by 120°.
+ * Coordinates follow the cube: Y- is up, X+ right, Z+ front.
+ */
+
+// Horizontal distance of an upper face's normal from the vertical axis
+const H = (2 * Math.sqrt(2)) / 3;
+
+export const FACE_NAMES = ['U', 'F', 'BL', 'BR', 'D', 'B', 'R', 'L'];
+
+const UPPER = [
+    [0, -1, 0],
+    [0, -1 / 3, H],
+    [-H * Math.sqrt(3) / 2, -1 / 3, -H / 2],
+    [H * Math.sqrt(3) / 2, -1 / 3, -H / 2],
+];
+
+// Unit outward normal of each face, indexed by face ID
+export const FACE_NORMALS = [...UPPER, ...UPPER.map(n => n.map(c => -c || 0))];
+
+// Opposite faces carry paired colors: white/yellow, green/blue, orange/red, grey/purple
+export const COLORS = {
+    0: '#FFFFFF', // White  (U)
+    1: '#00AA00', // Green  (F)
+    2: '#FF8C00', // Orange (BL)
+    3: '#A0A0A0', // Grey   (BR)
+    4: '#FFD700', // Yellow (D)
+    5: '#0066CC', // Blue   (B)
+    6: '#FF3B30', // Red    (R)
+    7: '#8A2BE2', // Purple (L)
+};
+
+// Keyboard key per face: the face letter, or Q / E for BL / BR
+export const FACE_KEYS = ['u', 'f', 'q', 'e', 'd', 'b', 'r', 'l'];
+
+export const CUT_DEPTH = 1 / 3;
+export const SCRAMBLE_LENGTH = 30;
@@ -0,0 +1,33 @@
+import { CutPuzzle } from '../cut/CutPuzzle.js';
+import {
+    FACE_NAMES, FACE_NORMALS, COLORS, FACE_KEYS, CUT_DEPTH, SCRAMBLE_LENGTH,
+} from './FTOConstants.js';
+
+const SPEC = {
+    id: 'fto',
+    name: 'Face-Turning Octahedron',
+    solid: { normals: FACE_NORMALS },
+    colors: COLORS,
+    axes: FACE_NAMES.map((name, i) => ({
+        name,
+        key: FACE_KEYS[i],
+        vector: FACE_NORMALS[i],
+        cuts: [CUT_DEPTH],
+        order: 3,
+    })),
+    scrambleLength: SCRAMBLE_LENGTH,
+};
+
+/**
+ * Face-Turning Octahedron: 6 corners, 12 edges and 24 triangular centers.
+ * Pieces, stickers and moves come from the declarative cut-plane builder;
+ * moves use vector axes, so Renderer3D animates them like the Pyraminx.
+ *
+ * Notation: U F BL BR D B R L, each a clockwise 120° turn seen from the
+ * face, with ' for counter-clockwise.
+ */
+export class FTOPuzzle extends CutPuzzle {
+    constructor() {
+        super(SPEC);
+    }
+}
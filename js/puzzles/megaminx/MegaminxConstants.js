@@ -97,6 +97,22 @@ function computeVertexFaces() {
 }
 export const VERTEX_FACES = computeVertexFaces();
 
+// ── Notation ────────────────────────────────────────────
+// U on top and F in front in the default view; opposite pairs are
+// U/D, F/B, R/DBL, L/DBR, BR/DL, BL/DR
+export const FACE_NAMES = {
+    U: 2, F: 8, R: 5, L: 10, BR: 3, BL: 7,
+    DR: 4, DL: 0, DBR: 9, DBL: 6, B: 11, D: 1,
+};
+// Keyboard key → face name (Shift reverses)
+export const FACE_KEYS = {
+    u: 'U', f: 'F', r: 'R', l: 'L', e: 'BR', q: 'BL',
+    c: 'DR', z: 'DL', s: 'DBR', a: 'DBL', b: 'B', d: 'D',
+};
+export const SCRAMBLE_LINE = 10; // R/D turns per Pochmann line, before the U turn
+
+export const INRADIUS = dot3(VERTS[FACES[0][0]], NORMALS[0]);
+
 // ── Rendering face definitions ──────────────────────────
 // 0-2: sticker faces, 3: inner backing, 4-8: side walls
 export const FACE_DEFS = [
@@ -114,64 +130,107 @@ export const FACE_COUNT = 9;
 export const VERTS_PER_FACE = 5;
 
 // ── Geometry parameters ─────────────────────────────────
-export const CUT_DEPTH = 0.45;   // fraction of apothem for cut line inset
 export const SHRINK = PIECE_GAP;
 export const THICKNESS = 0.35;   // depth of inner backing face (backing at 65%)
-export const LAYER_THRESHOLD = 1.05; // dot product cutoff for isPieceInMove
 
 /**
- * Compute sticker geometry for one dodecahedron face.
- * Returns { center, edges, corners } where:
- *   center = [5 points] (inner pentagon)
- *   edges  = [[4 points] × 5] (quad stickers along each outer edge)
- *   corners = [[4 points] × 5] (quad stickers at each vertex)
+ * Supported sizes, numbered like cubes by the stickers along an edge.
+ *   cuts   — depths of the cut lines parallel to each face edge, as
+ *            fractions of the apothem (0 at the edge, 1 at the center)
+ *   kites  — even sizes have no center: the middle of each face is split
+ *            into kites meeting at the center, and each edge sticker into
+ *            two wings
+ *   layers — depths, in the same units, at which the turning layers of a
+ *            face axis separate (measured on the neighbouring faces)
+ *   scrambleLines — Pochmann scramble lines
  */
-export function computeFaceStickers(faceIdx) {
-    const face = FACES[faceIdx];
-    const V = face.map(i => VERTS[i]);
-    const normal = NORMALS[faceIdx];
-    const C = scale3(V.reduce((s, v) => add3(s, v), [0, 0, 0]), 0.2);
-
-    // Cut lines: parallel to each edge, shifted inward by CUT_DEPTH
-    const cutP = [], cutD = [];
-    for (let k = 0; k < 5; k++) {
-        const mid = lerp3(V[k], V[(k + 1) % 5], 0.5);
-        cutP.push(lerp3(mid, C, CUT_DEPTH));
-        cutD.push(sub3(V[(k + 1) % 5], V[k]));
-    }
+export const SIZES = {
+    2: { name: 'Kilominx', cuts: [], kites: true, layers: [0.45], scrambleLines: 4 },
+    3: { name: 'Megaminx', cuts: [0.45], kites: false, layers: [0.45], scrambleLines: 7 },
+    4: { name: 'Master Kilominx', cuts: [0.32], kites: true, layers: [0.32, 0.75], scrambleLines: 8 },
+    5: { name: 'Gigaminx', cuts: [0.28, 0.56], kites: false, layers: [0.28, 0.56], scrambleLines: 10 },
+};
 
-    // Inner pentagon: Q[k] = intersection of cut line k and cut line (k+1)
-    const Q = [];
-    for (let k = 0; k < 5; k++) {
-        Q.push(lineIntersect(cutP[k], cutD[k], cutP[(k + 1) % 5], cutD[(k + 1) % 5], normal));
-    }
+const EPS = 1e-9;
+const centroid = (pts) => scale3(pts.reduce((s, v) => add3(s, v), [0, 0, 0]), 1 / pts.length);
 
-    // Cut points on each outer edge
-    // cutNear[j] = near V[j], from cut line (j-1)
-    // cutFar[j]  = near V[j+1], from cut line (j+1)
-    const edgeDir = [];
-    for (let j = 0; j < 5; j++) edgeDir.push(sub3(V[(j + 1) % 5], V[j]));
+/**
+ * Split a convex polygon by the line through `point` with in-plane normal
+ * `normal`. Winding is kept.
+ * @returns {Array<Array<number[]>>} The parts behind and in front of the line,
+ *   or just the polygon when the line misses it
+ */
+function splitPolygon(poly, point, normal) {
+    const side = poly.map(v => dot3(sub3(v, point), normal));
+    if (side.every(s => s < EPS) || side.every(s => s > -EPS)) return [poly];
+    const back = [], front = [];
+    poly.forEach((a, i) => {
+        const j = (i + 1) % poly.length;
+        const sa = side[i], sb = side[j];
+        if (sa < EPS) back.push(a);
+        if (sa > -EPS) front.push(a);
+        if ((sa < -EPS && sb > EPS) || (sa > EPS && sb < -EPS)) {
+            const p = lerp3(a, poly[j], sa / (sa - sb));
+            back.push(p);
+            front.push(p);
+        }
+    });
+    return [back, front];
+}
 
-    const cutNear = [], cutFar = [];
-    for (let j = 0; j < 5; j++) {
-        cutNear.push(lineIntersect(V[j], edgeDir[j], cutP[(j + 4) % 5], cutD[(j + 4) % 5], normal));
-        cutFar.push(lineIntersect(V[j], edgeDir[j], cutP[(j + 1) % 5], cutD[(j + 1) % 5], normal));
+/**
+ * Compute sticker geometry for one dodecahedron face: a list of convex
+ * polygons, each wound counter-clockwise seen from outside.
+ *
+ * Each cut line is where a neighbouring face's cut plane meets this face,
+ * so it runs parallel to the shared edge at the same depth on both faces.
+ * @param {number} faceIdx
+ * @param {number} [size=3] - Key of SIZES
+ * @returns {Array<Array<number[]>>}
+ */
+export function computeFaceStickers(faceIdx, size = 3) {
+    const { cuts, kites } = SIZES[size];
+    const V = FACES[faceIdx].map(i => VERTS[i]);
+    const C = centroid(V);
+    const mids = V.map((v, k) => lerp3(v, V[(k + 1) % 5], 0.5));
+
+    let regions = [V];
+    for (const mid of mids) {
+        const inward = sub3(C, mid);
+        for (const t of cuts) {
+            regions = regions.flatMap(r => splitPolygon(r, lerp3(mid, C, t), inward));
+        }
     }
+    if (!kites) return regions;
 
-    // Center sticker: inner pentagon Q[0..4] (already CCW)
-    const center = Q;
-
-    // Edge sticker on edge j: quad [cutNear[j], cutFar[j], Q[j], Q[j-1]]  (CCW)
-    const edges = [];
-    for (let j = 0; j < 5; j++) {
-        edges.push([cutNear[j], cutFar[j], Q[j], Q[(j + 4) % 5]]);
-    }
+    // The region holding the center becomes one kite per vertex
+    const normal = NORMALS[faceIdx];
+    const inner = regions.find(r => r.every((a, i) => dot3(cross3(sub3(r[(i + 1) % r.length], a), sub3(C, a)), normal) > 0));
+    const kiteStickers = inner.map((q, k) => {
+        const prev = inner[(k + 4) % 5], next = inner[(k + 1) % 5];
+        return [C, lerp3(prev, q, 0.5), q, lerp3(q, next, 0.5)];
+    });
 
-    // Corner sticker at vertex k: quad [cutNear[k], Q[k-1], cutFar[k-1], V[k]]  (CCW)
-    const corners = [];
-    for (let k = 0; k < 5; k++) {
-        corners.push([cutNear[k], Q[(k + 4) % 5], cutFar[(k + 4) % 5], V[k]]);
+    // Every other region crossed by a center-to-midpoint line splits in two
+    let rest = regions.filter(r => r !== inner);
+    for (const mid of mids) {
+        const along = sub3(mid, C);
+        const across = cross3(normal, along);
+        rest = rest.flatMap(r => (dot3(sub3(centroid(r), C), along) > 0 ? splitPolygon(r, C, across) : [r]));
     }
+    return [...kiteStickers, ...rest];
+}
 
-    return { center, edges, corners };
+/**
+ * Heights (dot product with the face normal) separating the layers of one
+ * axis, from the turning face inward. A face's cut plane meets each
+ * neighbouring face along a line at the same depth, which fixes its height.
+ * @param {number} size - Key of SIZES
+ * @returns {number[]}
+ */
+export function layerHeights(size) {
+    const [f0, f1] = EDGES[0].faces;
+    const neighbour = dot3(NORMALS[f0], NORMALS[f1]);
+    const heights = SIZES[size].layers.map(t => INRADIUS * (1 - t * (1 - neighbour)));
+    return [...heights, ...heights.map(h => -h).reverse()];
 }
@@ -0,0 +1,190 @@
+import { ease, rotatePointAroundAxis, pointInConvexPolygon } from '../../engine/math.js';
+import { FACES, VERTS, NORMALS, FACE_NAMES, FACE_DEFS, dot3, cross3, norm3 } from './MegaminxConstants.js';
+
+// Unfolding tree: [face, parent it hinges on]. U and D head the two flowers,
+// which join along the F–DR edge.
+const NET_TREE = [
+    ['F', 'U'], ['R', 'U'], ['BR', 'U'], ['BL', 'U'], ['L', 'U'],
+    ['DR', 'F'], ['D', 'DR'], ['DL', 'D'], ['DBR', 'D'], ['DBL', 'D'], ['B', 'D'],
+];
+const MARGIN = 30;
+
+// ── Complex helpers: 2D points as [re, im] ──────────────
+const cmul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const cdiv = (a, b) => {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+const cadd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const csub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const polar = (angle) => [Math.cos(angle), Math.sin(angle)];
+
+/**
+ * 2D flat net for the Megaminx: the dodecahedron unfolded into two flowers
+ * of six pentagons, U and D in the middle of each.
+ *
+ * Each face plane maps onto its pentagon by a similarity (a complex map
+ * A·z + B of in-plane coordinates), so stickers keep their 3D shapes.
+ * During a turn, stickers whose path is a rigid swing around the turning
+ * face's pentagon rotate about its center; the rest slide straight to
+ * where the turn leaves them.
+ */
+export class MegaminxNetView {
+    constructor(canvas, puzzle) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.puzzle = puzzle;
+        this.faceMaps = this._layout();
+        this.lastRenderedStickers = [];
+    }
+
+    /** The net is the same for every size. */
+    updateScaling(config) {}
+
+    /**
+     * In-plane basis per face, with u × v along the outward normal as the
+     * 3D view projects world x and y, so the net keeps its handedness.
+     */
+    _basis(face) {
+        const n = NORMALS[face];
+        const ref = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const u = norm3(cross3(n, ref));
+        return { u, v: cross3(n, u) };
+    }
+
+    _local(face, point) {
+        const { u, v } = this.faceBases[face];
+        return [dot3(point, u), dot3(point, v)];
+    }
+
+    /** Unfold along NET_TREE, then turn U→D horizontal and fit the canvas. */
+    _layout() {
+        this.faceBases = NORMALS.map((_, face) => this._basis(face));
+        const maps = new Array(12);
+        maps[FACE_NAMES.U] = { A: [1, 0], B: [0, 0] };
+        for (const [name, parentName] of NET_TREE) {
+            const face = FACE_NAMES[name], parent = FACE_NAMES[parentName];
+            const [i, j] = FACES[face].filter(v => FACES[parent].includes(v));
+            const wa = this._apply(maps[parent], this._local(parent, VERTS[i]));
+            const wb = this._apply(maps[parent], this._local(parent, VERTS[j]));
+            const za = this._local(face, VERTS[i]), zb = this._local(face, VERTS[j]);
+            const A = cdiv(csub(wb, wa), csub(zb, za));
+            maps[face] = { A, B: csub(wa, cmul(A, za)) };
+        }
+
+        const all = FACES.flatMap((verts, face) => verts.map(i => this._apply(maps[face], this._local(face, VERTS[i]))));
+        const center = (face) => this._apply(maps[face], this._local(face, NORMALS[face]));
+        const across = csub(center(FACE_NAMES.D), center(FACE_NAMES.U));
+        const turn = polar(-Math.atan2(across[1], across[0]));
+        const turned = all.map(w => cmul(turn, w));
+        const xs = turned.map(w => w[0]), ys = turned.map(w => w[1]);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        const scale = Math.min((this.canvas.width - 2 * MARGIN) / (maxX - minX),
+            (this.canvas.height - 2 * MARGIN) / (maxY - minY));
+        const S = [turn[0] * scale, turn[1] * scale];
+        const T = [this.canvas.width / 2 - scale * (minX + maxX) / 2, this.canvas.height / 2 - scale * (minY + maxY) / 2];
+        return maps.map(({ A, B }) => ({ A: cmul(S, A), B: cadd(cmul(S, B), T) }));
+    }
+
+    _apply({ A, B }, z) {
+        return cadd(cmul(A, z), B);
+    }
+
+    /** Canvas position of a point on the plane of `face`. */
+    toNet(face, point) {
+        return this._apply(this.faceMaps[face], this._local(face, point));
+    }
+
+    /** Canvas polygon of a sticker slot, with the world face it lies on. */
+    _sticker(piece, slot, points) {
+        const verts = FACE_DEFS[slot].idx.map(i => points[i]);
+        const face = this.puzzle.detectWorldFace(piece, verts);
+        return face < 0 ? null : { face, poly: verts.map(v => this.toNet(face, v)) };
+    }
+
+    render(pieces, move, progress, config) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Guide pentagons
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        FACES.forEach((verts, face) => {
+            this._path(verts.map(i => this.toNet(face, VERTS[i])));
+            ctx.stroke();
+        });
+
+        const t = move ? ease(progress) : 0;
+        const angle = move ? this.puzzle.moveAngle * move.dir : 0;
+        const pivot = move ? this.toNet(move.face, NORMALS[move.face]) : null;
+        const swing = polar(angle * t);
+        const stickers = [];
+
+        for (const piece of pieces) {
+            const moving = move && this.puzzle.isPieceInMove(piece, move);
+            const turned = moving ? piece.p.map(v => rotatePointAroundAxis(v, move.axis, angle)) : null;
+            for (let slot = 0; slot < 3; slot++) {
+                if (!piece.stickers[slot]) continue;
+                const start = this._sticker(piece, slot, piece.p);
+                if (!start) continue;
+                let poly = start.poly;
+                if (moving) {
+                    const end = this._sticker(piece, slot, turned).poly;
+                    const full = polar(angle);
+                    const rigid = start.poly.every((w, i) => {
+                        const r = cadd(pivot, cmul(full, csub(w, pivot)));
+                        return Math.hypot(r[0] - end[i][0], r[1] - end[i][1]) < 1;
+                    });
+                    poly = rigid
+                        ? start.poly.map(w => cadd(pivot, cmul(swing, csub(w, pivot))))
+                        : start.poly.map((w, i) => [w[0] + (end[i][0] - w[0]) * t, w[1] + (end[i][1] - w[1]) * t]);
+                }
+                const ci = this.puzzle.getStickerColor(piece, slot, config);
+                stickers.push({ piece, face: start.face, poly, color: this.puzzle.colors[ci] });
+            }
+        }
+
+        this.lastRenderedStickers = stickers;
+
+        for (const s of stickers) {
+            this._path(s.poly);
+            ctx.fillStyle = s.color;
+            ctx.fill();
+            ctx.strokeStyle = '#111';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    _path(poly) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.moveTo(poly[0][0], poly[0][1]);
+        for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i][0], poly[i][1]);
+        ctx.closePath();
+    }
+
+    /** Draw selection highlight on the net. Called separately by PuzzleEngine. */
+    drawSelectionHighlight(selected, pieces, config) {
+        if (!selected) return;
+        const piece = this.puzzle.findPieceAt(pieces, selected.m);
+        if (!piece) return;
+        const hit = this.lastRenderedStickers.find(s => s.piece === piece && s.face === selected.faceIndex);
+        if (!hit) return;
+        const ctx = this.ctx;
+        this._path(hit.poly);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    getClickTarget(px, py, config) {
+        const hit = this.lastRenderedStickers.find(s =>
+            pointInConvexPolygon(px, py, s.poly.map(([x, y]) => ({ x, y }))));
+        return hit ? { faceIndex: hit.face, faceAxis: null, m: [...hit.piece.m], from: '2d' } : null;
+    }
+}
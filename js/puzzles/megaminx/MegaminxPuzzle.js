@@ -1,15 +1,29 @@
-import { PuzzleDefinition } from '../PuzzleDefinition.js';
+import { PuzzleDefinition, pickArrowMove } from '../PuzzleDefinition.js';
 import { rotatePointAroundAxis } from '../../engine/math.js';
+import { parseAmount } from '../../engine/notation.js';
+import { MegaminxNetView } from './MegaminxNetView.js';
 import {
-    COLORS, NORMALS, FACES, EDGES, VERTEX_FACES,
+    COLORS, NORMALS, INRADIUS, SIZES, FACE_NAMES, FACE_KEYS, SCRAMBLE_LINE,
     FACE_DEFS, FACE_COUNT, VERTS_PER_FACE,
-    SHRINK, THICKNESS, LAYER_THRESHOLD,
+    SHRINK, THICKNESS,
     dot3, sub3, add3, scale3, lerp3,
-    computeFaceStickers,
+    computeFaceStickers, layerHeights,
 } from './MegaminxConstants.js';
 
+/**
+ * Megaminx family: Kilominx (size 2), Megaminx (3), Master Kilominx (4)
+ * and Gigaminx (5). Each face axis has N = 2·cuts + 1 layers, numbered from
+ * the turning face. Moves are { face, axis, layer, dir } turning one layer,
+ * or carry `layers` for Pochmann double-tier turns; `dir` counts fifths.
+ */
 export class MegaminxPuzzle extends PuzzleDefinition {
 
+    constructor() {
+        super();
+        // Cut heights along a face axis, set per size by onConfigChange
+        this._heights = layerHeights(3);
+    }
+
     // ── Identity ──────────────────────────────────────────
     get name()         { return 'Megaminx'; }
     get id()           { return 'megaminx'; }
@@ -23,41 +37,58 @@ export class MegaminxPuzzle extends PuzzleDefinition {
     get defaultViewAngles() { return { yaw: 0.4, pitch: -0.5 }; }
 
     // ── Configuration ─────────────────────────────────────
-    get defaultConfig() { return { selectedDepth: 1 }; }
-    get configParams()  { return []; }
-    onConfigChange(config) { config.spacing = 130; }
+    get defaultConfig() { return { size: 3, selectedDepth: 1 }; }
+    get configParams() {
+        return [{ key: 'size', label: 'Size', type: 'number', min: 2, max: 5, default: 3 }];
+    }
+    onConfigChange(config) {
+        this._heights = layerHeights(config.size);
+        config.N = this._heights.length + 1;
+        config.spacing = 130;
+    }
 
     // ── Moves ─────────────────────────────────────────────
     get baseMoves() {
-        return {
-            'u': { face: 0, dir: 1 },
-            'b': { face: 1, dir: 1 },
-            'r': { face: 4, dir: 1 },
-            'l': { face: 6, dir: 1 },
-            'f': { face: 8, dir: 1 },
-            'd': { face: 3, dir: 1 },
-            'n': { face: 2, dir: 1 },
-            'j': { face: 5, dir: 1 },
-            'h': { face: 7, dir: 1 },
-            'g': { face: 9, dir: 1 },
-            's': { face: 10, dir: 1 },
-            'a': { face: 11, dir: 1 },
-        };
+        return Object.fromEntries(Object.entries(FACE_KEYS).map(([key, name]) =>
+            [key, { face: FACE_NAMES[name], dir: 1, label: name }]));
     }
 
+    /** Turns the layer at selectedDepth, counted from the named face. */
     resolveMove(baseMove, reversed, config) {
         return {
             face: baseMove.face,
             axis: NORMALS[baseMove.face],
+            layer: Math.min(config.selectedDepth, config.N) - 1,
             dir: reversed ? -baseMove.dir : baseMove.dir,
         };
     }
 
     // ── Piece Creation ────────────────────────────────────
     createPieces(config) {
-        const pieces = [];
-        const faceStickers = [];
-        for (let fi = 0; fi < 12; fi++) faceStickers.push(computeFaceStickers(fi));
+        const stickers = [];
+        for (let fi = 0; fi < 12; fi++) {
+            for (const verts of computeFaceStickers(fi, config.size)) stickers.push({ verts, faceId: fi });
+        }
+
+        // Stickers sharing a stretch of a dodecahedron edge belong to one piece
+        const parent = stickers.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        const bySegment = new Map();
+        stickers.forEach(({ verts }, i) => {
+            verts.forEach((a, k) => {
+                const mid = lerp3(a, verts[(k + 1) % verts.length], 0.5);
+                if (NORMALS.filter(n => Math.abs(dot3(mid, n) - INRADIUS) < 1e-6).length < 2) return;
+                const key = mid.map(c => Math.round(c * 1e4) || 0).join();
+                if (bySegment.has(key)) parent[find(i)] = find(bySegment.get(key));
+                else bySegment.set(key, i);
+            });
+        });
+        const groups = new Map();
+        stickers.forEach((sticker, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(sticker);
+        });
 
         // Helper: build a piece from its sticker face descriptions
         const makePiece = (stickerFaces) => {
@@ -95,39 +126,17 @@ export class MegaminxPuzzle extends PuzzleDefinition {
             return { m: centroid, p, stickers };
         };
 
-        // 12 center pieces
-        for (let fi = 0; fi < 12; fi++) {
-            pieces.push(makePiece([{ verts: faceStickers[fi].center, faceId: fi }]));
-        }
-
-        // 30 edge pieces
-        for (const edge of EDGES) {
-            const [f0, f1] = edge.faces;
-            const e0 = edge.edgeInFace[f0];
-            const e1 = edge.edgeInFace[f1];
-            pieces.push(makePiece([
-                { verts: faceStickers[f0].edges[e0], faceId: f0 },
-                { verts: faceStickers[f1].edges[e1], faceId: f1 },
-            ]));
-        }
-
-        // 20 corner pieces
-        for (let vi = 0; vi < 20; vi++) {
-            const faces = VERTEX_FACES[vi];
-            if (faces.length !== 3) continue;
-            const sf = faces.map(fi => {
-                const idx = FACES[fi].indexOf(vi);
-                return { verts: faceStickers[fi].corners[idx], faceId: fi };
-            });
-            pieces.push(makePiece(sf));
-        }
-
-        return pieces;
+        // Centers, then edges, then corners
+        return [...groups.values()]
+            .sort((a, b) => a.length - b.length)
+            .map(makePiece);
     }
 
     // ── Layer Detection ───────────────────────────────────
     isPieceInMove(piece, move) {
-        return dot3(piece.m, move.axis) > LAYER_THRESHOLD;
+        const height = dot3(piece.m, move.axis);
+        const layer = this._heights.filter(h => height < h).length;
+        return move.layers ? move.layers.includes(layer) : layer === (move.layer || 0);
     }
 
     // ── Rotation ──────────────────────────────────────────
@@ -144,9 +153,9 @@ export class MegaminxPuzzle extends PuzzleDefinition {
     }
 
     // ── Color / Rendering ─────────────────────────────────
-    getStickerColor(piece, faceIndex) {
-        if (faceIndex < 0 || faceIndex >= FACE_COUNT) return null;
-        const sticker = piece.stickers[faceIndex];
+    getStickerColor(piece, slot) {
+        if (slot < 0 || slot >= FACE_COUNT) return null;
+        const sticker = piece.stickers[slot];
         return sticker ? sticker.faceId : null;
     }
 
@@ -165,22 +174,148 @@ export class MegaminxPuzzle extends PuzzleDefinition {
         return bestDot > 0.01 ? best : -1;
     }
 
+    /** Solved when each of the 12 world faces shows a single color. */
+    isSolved(pieces) {
+        const faceColor = new Array(12).fill(null);
+        for (const piece of pieces) {
+            for (let slot = 0; slot < 3; slot++) {
+                const sticker = piece.stickers[slot];
+                if (!sticker) continue;
+                const face = this.detectWorldFace(piece, FACE_DEFS[slot].idx.map(i => piece.p[i]));
+                if (face < 0) return false;
+                if (faceColor[face] === null) faceColor[face] = sticker.faceId;
+                else if (faceColor[face] !== sticker.faceId) return false;
+            }
+        }
+        return true;
+    }
+
     getSpacing(config) { return config.spacing || 130; }
 
     // ── Scramble ──────────────────────────────────────────
+
+    /**
+     * WCA Pochmann scramble: lines of ten alternating R±± / D±± double-tier
+     * turns, each ending in U or U'. Sizes 4 and 5 mix in r±± / d±±, which
+     * also leave the inner layer next to the opposite face behind.
+     */
     generateScramble(config) {
+        const { scrambleLines } = SIZES[config.size];
         const moves = [];
-        let lastFace = -1;
-        for (let i = 0; i < 60; i++) {
-            let face;
-            do { face = Math.floor(Math.random() * 12); } while (face === lastFace);
+        for (let line = 0; line < scrambleLines; line++) {
+            for (let i = 0; i < SCRAMBLE_LINE; i++) {
+                const face = FACE_NAMES[i % 2 ? 'D' : 'R'];
+                const keep = config.N >= 5 && Math.random() < 0.5 ? 2 : 1;
+                moves.push(this._doubleTier(face, keep, Math.random() < 0.5 ? 2 : -2, config));
+            }
             const dir = Math.random() < 0.5 ? 1 : -1;
-            moves.push({ face, axis: NORMALS[face], dir });
-            lastFace = face;
+            moves.push({ face: FACE_NAMES.U, axis: NORMALS[FACE_NAMES.U], layer: 0, dir });
         }
         return moves;
     }
 
+    /** One Pochmann line per row. */
+    formatScramble(moves, config) {
+        const lines = [[]];
+        for (const move of moves) {
+            lines[lines.length - 1].push(move);
+            if (!move.layers) lines.push([]);
+        }
+        return lines.filter(line => line.length).map(line => this.formatAlgorithm(line, config)).join('\n');
+    }
+
+    /** Turn every layer of `face`'s axis except the last `keep`, seen from `face`. */
+    _doubleTier(face, keep, dir, config) {
+        const layers = Array.from({ length: config.N - keep }, (_, i) => i);
+        return { face, axis: NORMALS[face], layer: 0, layers, dir };
+    }
+
+    // ── Notation ──────────────────────────────────────────
+    get hasNotation() { return true; }
+
+    /**
+     * Face turns with an optional amount and prime ("R", "BL2'"), inner
+     * layers by depth ("2R"), and Pochmann turns: "R++" / "R--" turn all but
+     * the opposite face two fifths; on sizes 4 and 5 "r++" also leaves the
+     * inner layer next to it.
+     */
+    parseMove(token, config) {
+        let m;
+        if ((m = token.match(/^([A-Za-z]+)(\+\+|--)$/))) {
+            const name = m[1].toUpperCase();
+            const keep = m[1] === name ? 1 : 2;
+            if (FACE_NAMES[name] === undefined || (keep === 2 && (m[1] !== name.toLowerCase() || config.N < 5))) {
+                return null;
+            }
+            return [this._doubleTier(FACE_NAMES[name], keep, m[2] === '++' ? 2 : -2, config)];
+        }
+        if ((m = token.match(/^(\d*)([A-Z]+)(\d*)('?)$/))) {
+            const face = FACE_NAMES[m[2]];
+            const depth = m[1] ? parseInt(m[1]) : 1;
+            const amount = parseAmount(m[3], m[4]);
+            if (face === undefined || depth < 1 || depth > config.N || amount === null) return null;
+            // Reduce to -2..2 fifths
+            const turns = ((amount % 5) + 5) % 5;
+            const dir = turns > 2 ? turns - 5 : turns;
+            return dir ? [{ face, axis: NORMALS[face], layer: depth - 1, dir }] : [];
+        }
+        return null;
+    }
+
+    formatMove(move, config) {
+        const name = Object.keys(FACE_NAMES).find(k => FACE_NAMES[k] === move.face);
+        if (!name) return null;
+        const suffix = move.dir > 0 ? '++' : '--';
+        if (move.layers) {
+            const keep = config.N - move.layers.length;
+            if (Math.abs(move.dir) !== 2 || move.layers.some((l, i) => l !== i)) return null;
+            if (keep === 1) return name + suffix;
+            if (keep === 2 && config.N >= 5) return name.toLowerCase() + suffix;
+            return null;
+        }
+        const layer = move.layer || 0;
+        const n = Math.abs(move.dir);
+        return (layer ? layer + 1 : '') + name + (n > 1 ? n : '') + (move.dir < 0 ? "'" : '');
+    }
+
+    /** Merge consecutive turns of the same layer modulo five; Pochmann turns stay as written. */
+    formatAlgorithm(moves, config) {
+        const merged = [];
+        for (const move of moves) {
+            const last = merged[merged.length - 1];
+            if (last && !last.layers && !move.layers && last.face === move.face &&
+                (last.layer || 0) === (move.layer || 0)) {
+                const turns = (((last.dir + move.dir) % 5) + 5) % 5;
+                merged[merged.length - 1] = { ...last, dir: turns > 2 ? turns - 5 : turns };
+                if (turns === 0) merged.pop();
+            } else {
+                merged.push(move);
+            }
+        }
+        return merged.map(move => this.formatMove(move, config) ?? '?').join(' ');
+    }
+
+    // ── Arrow-key move resolution ─────────────────────────
+
+    /**
+     * Turns of the layer holding the piece about each face axis but the
+     * selected face's own, counting layers from the nearer face.
+     */
+    resolveArrowMove(piece, faceIndex, screenDir, viewYaw, viewPitch, config) {
+        const moves = [];
+        NORMALS.forEach((axis, face) => {
+            if (Math.abs(dot3(axis, NORMALS[faceIndex])) > 0.99) return;
+            for (let layer = 0; layer <= (config.N - 1) / 2; layer++) {
+                const move = { face, axis, layer, dir: 1 };
+                if (this.isPieceInMove(piece, move)) {
+                    moves.push(move);
+                    break;
+                }
+            }
+        });
+        return pickArrowMove(this, moves, piece, faceIndex, screenDir, viewYaw, viewPitch, config);
+    }
+
     // ── Piece Lookup ──────────────────────────────────────
     findPieceAt(pieces, m) {
         let best = null, bestDist = Infinity;
@@ -191,5 +326,10 @@ export class MegaminxPuzzle extends PuzzleDefinition {
         return bestDist < 0.5 ? best : null;
     }
 
-    get has2DView() { return false; }
+    // ── 2D View ───────────────────────────────────────────
+    get has2DView() { return true; }
+
+    create2DView(canvas) {
+        return new MegaminxNetView(canvas, this);
+    }
 }
@@ -10,6 +10,9 @@ export const COLORS = {
     3: '#FFD700',  // Yellow (face opposite V3)
 };
 
+// Parent face indices (face i is opposite vertex i)
+export const PARENT_FACES = [0, 1, 2, 3];
+
 // Parent tetrahedron vertices (regular tet inscribed in a cube, centered at origin)
 export const PARENT_VERTS = [
     [ 1,  1,  1],   // V0
@@ -82,6 +85,12 @@ export const VERTEX_CYCLES = [
     [0, 2, 1],  // vertex 3: V0→V2→V1→V0
 ];
 
+// Notation letter of each vertex's layers (lowercase for the tip alone)
+export const VERTEX_NAMES = ['U', 'L', 'R', 'B'];
+
+// Keys turning only the tip, each beside its vertex's layer key
+export const TIP_KEYS = { i: 0, k: 1, t: 2, n: 3 };
+
 /** Compute a 3D lattice point from barycentric coordinates (a,b,c,d) at size N. */
 export function latticePoint(a, b, c, d, N) {
     const V = PARENT_VERTS;
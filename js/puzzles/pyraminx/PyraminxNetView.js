@@ -0,0 +1,220 @@
+import { ease, pointInConvexPolygon } from '../../engine/math.js';
+import { AXES, FACE_DEFS } from './PyraminxConstants.js';
+
+// Unit net: face 3 (U L R) in the middle pointing up, the other three folded
+// out over its edges, drawn with the same handedness as the 3D view.
+const H = Math.sqrt(3) / 2;
+const U = [0, -H], L = [0.5, 0], R = [-0.5, 0];
+/** Where c lands when its triangle is folded over the edge ab. */
+const fold = (a, b, c) => [a[0] + b[0] - c[0], a[1] + b[1] - c[1]];
+
+// NET[face][vertex]: net position of each corner of each face
+const NET = [
+    { 1: L, 2: R, 3: fold(L, R, U) },
+    { 0: U, 2: R, 3: fold(U, R, L) },
+    { 0: U, 1: L, 3: fold(U, L, R) },
+    { 0: U, 1: L, 2: R },
+];
+// A vertex whose three faces meet at one net point turns about that point
+const PIVOTS = [0, 1, 2, 3].map(v => {
+    const points = NET.filter(corners => corners[v]).map(corners => corners[v]);
+    return points.every(p => p === points[0]) ? points[0] : null;
+});
+const MARGIN = 30;
+
+const centroid = (poly) => [
+    poly.reduce((s, w) => s + w[0], 0) / poly.length,
+    poly.reduce((s, w) => s + w[1], 0) / poly.length,
+];
+const rotate = ([x, y], [cx, cy], angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [cx + (x - cx) * c - (y - cy) * s, cy + (x - cx) * s + (y - cy) * c];
+};
+const wrap = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+/**
+ * 2D four-triangle net for the Pyraminx, any size.
+ *
+ * A sticker's place comes from its piece's barycentric lattice position on
+ * the face it points at: upright pieces show a triangle with corners at
+ * bary + e_j, octahedral gap pieces the inverted one at bary + e_j + e_k.
+ * During a U, L or R turn stickers swing about that vertex's net point; B
+ * is split over the three outer corners, so its stickers glide instead.
+ */
+export class PyraminxNetView {
+    constructor(canvas, puzzle) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.puzzle = puzzle;
+        this.scale = (canvas.width - 2 * MARGIN) / 2;
+        this.lastRenderedStickers = [];
+    }
+
+    /** Lattice positions are computed per frame from config.N. */
+    updateScaling(config) {}
+
+    toCanvas([x, y]) {
+        return [this.canvas.width / 2 + x * this.scale, this.canvas.height / 2 + y * this.scale];
+    }
+
+    /** World face and unit-net triangle of a sticker, wound like the 3D view. */
+    _sticker(piece, slot, N) {
+        const face = this.puzzle.detectWorldFace(piece, FACE_DEFS[slot].idx.map(i => piece.p[i]));
+        if (face < 0) return null;
+        const others = [0, 1, 2, 3].filter(v => v !== face);
+        const bumps = piece.isGap ? [[0, 1], [0, 2], [1, 2]] : [[0], [1], [2]];
+        const poly = bumps.map(bump => {
+            const bary = [...piece.bary];
+            for (const k of bump) bary[others[k]]++;
+            const point = [0, 0];
+            for (const v of others) {
+                point[0] += NET[face][v][0] * bary[v] / N;
+                point[1] += NET[face][v][1] * bary[v] / N;
+            }
+            return point;
+        });
+        const [a, b, c] = poly;
+        const cross = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        return { face, poly: cross < 0 ? poly.reverse() : poly };
+    }
+
+    /** The sticker's start face and triangle, and where `move` leaves it. */
+    _track(piece, slot, move, N) {
+        const start = this._sticker(piece, slot, N);
+        if (!start) return null;
+        const moved = { ...piece, m: [...piece.m], p: piece.p.map(v => [...v]), bary: [...piece.bary] };
+        this.puzzle.applyRotation([moved], move);
+        return { face: start.face, start: start.poly, end: this._sticker(moved, slot, N).poly, pivot: PIVOTS[move.vertex] };
+    }
+
+    /** Triangle at eased progress t: a swing about the pivot, else a glide with a spin. */
+    _at({ start, end, pivot }, t) {
+        const near = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]) < 1e-6;
+        const sameSet = (poly) => poly.every(w => end.some(e => near(w, e)));
+        if (pivot) {
+            const [cs, ce] = [centroid(start), centroid(end)];
+            const delta = wrap(Math.atan2(ce[1] - pivot[1], ce[0] - pivot[0]) - Math.atan2(cs[1] - pivot[1], cs[0] - pivot[0]));
+            if (sameSet(start.map(w => rotate(w, pivot, delta)))) return start.map(w => rotate(w, pivot, delta * t));
+        }
+        const [cs, ce] = [centroid(start), centroid(end)];
+        const shifted = start.map(w => [w[0] - cs[0] + ce[0], w[1] - cs[1] + ce[1]]);
+        const spin = [0, 1, 2, 3, 4, 5].map(k => wrap(k * Math.PI / 3))
+            .filter(a => shifted.every(w => end.some(e => near(rotate(w, ce, a), e))))
+            .sort((a, b) => Math.abs(a) - Math.abs(b))[0] ?? 0;
+        const c = [cs[0] + (ce[0] - cs[0]) * t, cs[1] + (ce[1] - cs[1]) * t];
+        return start.map(w => rotate([w[0] - cs[0] + c[0], w[1] - cs[1] + c[1]], c, spin * t));
+    }
+
+    render(pieces, move, progress, config) {
+        const ctx = this.ctx;
+        const N = config.N;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Guide triangles
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        for (const corners of NET) {
+            this._path(Object.values(corners).map(w => this.toCanvas(w)));
+            ctx.stroke();
+        }
+
+        const t = move ? ease(progress) : 0;
+        const stickers = [];
+        for (const piece of pieces) {
+            const moving = move && this.puzzle.isPieceInMove(piece, move);
+            for (let slot = 0; slot < FACE_DEFS.length; slot++) {
+                if (!piece.stickers[slot]) continue;
+                const shown = moving ? this._track(piece, slot, move, N) : this._sticker(piece, slot, N);
+                if (!shown) continue;
+                const poly = moving ? this._at(shown, t) : shown.poly;
+                const ci = this.puzzle.getStickerColor(piece, slot, config);
+                stickers.push({ piece, face: shown.face, poly: poly.map(w => this.toCanvas(w)), color: this.puzzle.colors[ci] });
+            }
+        }
+
+        this.lastRenderedStickers = stickers;
+
+        for (const s of stickers) {
+            this._path(s.poly);
+            ctx.fillStyle = s.color;
+            ctx.fill();
+            ctx.strokeStyle = '#111';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    _path(poly) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.moveTo(poly[0][0], poly[0][1]);
+        for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i][0], poly[i][1]);
+        ctx.closePath();
+    }
+
+    /** Draw selection highlight on the net. Called separately by PuzzleEngine. */
+    drawSelectionHighlight(selected, pieces, config) {
+        if (!selected) return;
+        const piece = this.puzzle.findPieceAt(pieces, selected.m);
+        if (!piece) return;
+        const hit = this.lastRenderedStickers.find(s => s.piece === piece && s.face === selected.faceIndex);
+        if (!hit) return;
+        const ctx = this.ctx;
+        this._path(hit.poly);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    getClickTarget(px, py, config) {
+        const hit = this.lastRenderedStickers.find(s =>
+            pointInConvexPolygon(px, py, s.poly.map(([x, y]) => ({ x, y }))));
+        return hit ? { faceIndex: hit.face, faceAxis: null, m: [...hit.piece.m], from: '2d' } : null;
+    }
+
+    /** Shallowest turn of `vertex` that carries the piece, or null if only a whole-puzzle rotation does. */
+    _turnOf(piece, vertex, config) {
+        for (let depth = 0; depth <= config.N - 2; depth++) {
+            const move = { vertex, axis: AXES[vertex], depth, dir: 1 };
+            if (this.puzzle.isPieceInMove(piece, move)) return move;
+        }
+        return null;
+    }
+
+    /**
+     * Screen direction a sticker starts moving in when `rotAxis` (a vertex)
+     * turns forward.
+     * @returns {number[]} [dx, dy]
+     */
+    computeArrowDirection(piece, faceIndex, rotAxis, config) {
+        const move = this._turnOf(piece, rotAxis, config);
+        const slot = FACE_DEFS.findIndex((def, i) => piece.stickers[i] &&
+            this.puzzle.detectWorldFace(piece, def.idx.map(j => piece.p[j])) === faceIndex);
+        const track = move && slot >= 0 && this._track(piece, slot, move, config.N);
+        if (!track) return [0, 0];
+        const [x0, y0] = centroid(track.start);
+        const [x1, y1] = centroid(this._at(track, 0.01));
+        return [x1 - x0, y1 - y0];
+    }
+
+    /** Arrow-key turn for a sticker selected here: the corner turn of its face that best follows the arrow. */
+    resolveArrowMove(piece, selected, screenDir, config) {
+        let best = null, bestDot = 0;
+        // Face i lies opposite vertex i
+        for (const vertex of [0, 1, 2, 3].filter(v => v !== selected.faceIndex)) {
+            const move = this._turnOf(piece, vertex, config);
+            if (!move) continue;
+            const [dx, dy] = this.computeArrowDirection(piece, selected.faceIndex, vertex, config);
+            const dot = (dx * screenDir[0] + dy * screenDir[1]) / (Math.hypot(dx, dy) || 1);
+            if (Math.abs(dot) > bestDot) {
+                bestDot = Math.abs(dot);
+                best = { ...move, dir: dot > 0 ? 1 : -1 };
+            }
+        }
+        return best;
+    }
+}
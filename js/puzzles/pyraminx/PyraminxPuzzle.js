@@ -1,10 +1,13 @@
-import { PuzzleDefinition, PIECE_GAP } from '../PuzzleDefinition.js';
+import { PuzzleDefinition, PIECE_GAP, pickArrowMove } from '../PuzzleDefinition.js';
 import { rotatePointAroundAxis } from '../../engine/math.js';
+import { parseAmount } from '../../engine/notation.js';
 import {
-    COLORS, AXES, FACE_NORMALS,
+    COLORS, AXES, FACE_NORMALS, PARENT_FACES,
     FACE_DEFS, FACE_COUNT, VERTS_PER_FACE,
-    UPRIGHT_STICKER_SLOT, VERTEX_CYCLES, latticePoint,
+    UPRIGHT_STICKER_SLOT, VERTEX_CYCLES, VERTEX_NAMES, TIP_KEYS, latticePoint,
 } from './PyraminxConstants.js';
+import { randomBodyScramble } from './PyraminxScrambler.js';
+import { PyraminxNetView } from './PyraminxNetView.js';
 
 export class PyraminxPuzzle extends PuzzleDefinition {
 
@@ -37,16 +40,21 @@ export class PyraminxPuzzle extends PuzzleDefinition {
 
     // ── Moves ─────────────────────────────────────────────
     get baseMoves() {
-        return {
+        const moves = {
             'u': { vertex: 0, dir: 1 },   // U vertex
             'l': { vertex: 1, dir: 1 },   // L vertex
             'r': { vertex: 2, dir: 1 },   // R vertex
             'b': { vertex: 3, dir: 1 },   // B vertex
         };
+        for (const [key, vertex] of Object.entries(TIP_KEYS)) {
+            moves[key] = { vertex, dir: 1, tip: true, label: VERTEX_NAMES[vertex].toLowerCase() };
+        }
+        return moves;
     }
 
+    /** Tip keys turn the tip alone; layer keys turn selectedDepth layers below the tip. */
     resolveMove(baseMove, reversed, config) {
-        const depth = Math.min(config.selectedDepth ?? 1, config.N - 2);
+        const depth = baseMove.tip ? 0 : Math.min(config.selectedDepth ?? 1, config.N - 2);
         const dir = reversed ? -baseMove.dir : baseMove.dir;
         return {
             vertex: baseMove.vertex,
@@ -188,9 +196,9 @@ export class PyraminxPuzzle extends PuzzleDefinition {
     }
 
     // ── Color Detection ───────────────────────────────────
-    getStickerColor(piece, faceIndex) {
-        if (faceIndex < 0 || faceIndex >= FACE_COUNT) return null;
-        const sticker = piece.stickers[faceIndex];
+    getStickerColor(piece, slot) {
+        if (slot < 0 || slot >= FACE_COUNT) return null;
+        const sticker = piece.stickers[slot];
         return sticker ? sticker.faceId : null;
     }
 
@@ -213,25 +221,145 @@ export class PyraminxPuzzle extends PuzzleDefinition {
         return bestDot > 0.1 ? best : -1;
     }
 
+    // ── Solved State ──────────────────────────────────────
+
+    /**
+     * Solved when each parent face shows one color. A piece lies on parent face i
+     * iff bary[i] === 0; among those faces, each sticker is matched by its normal.
+     */
+    isSolved(pieces) {
+        const faceColor = [null, null, null, null];
+        for (const piece of pieces) {
+            const onFaces = PARENT_FACES.filter(i => piece.bary[i] === 0);
+            for (let slot = 0; slot < FACE_COUNT; slot++) {
+                const sticker = piece.stickers[slot];
+                if (!sticker) continue;
+                const face = this._stickerParentFace(piece, slot, onFaces);
+                if (face < 0) return false;
+                if (faceColor[face] === null) faceColor[face] = sticker.faceId;
+                else if (faceColor[face] !== sticker.faceId) return false;
+            }
+        }
+        return true;
+    }
+
+    /** Which of the candidate parent faces the sticker in `slot` points toward. */
+    _stickerParentFace(piece, slot, candidates) {
+        const [a, b, c] = FACE_DEFS[slot].idx.map(i => piece.p[i]);
+        const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const n = [
+            ab[1] * ac[2] - ab[2] * ac[1],
+            ab[2] * ac[0] - ab[0] * ac[2],
+            ab[0] * ac[1] - ab[1] * ac[0],
+        ];
+        let best = -1, bestDot = 0;
+        for (const i of candidates) {
+            const fn = FACE_NORMALS[i];
+            const dot = n[0] * fn[0] + n[1] * fn[1] + n[2] * fn[2];
+            if (dot > bestDot) { bestDot = dot; best = i; }
+        }
+        return best;
+    }
+
     // ── Rendering ─────────────────────────────────────────
     getSpacing(config) { return config.spacing; }
 
     // ── Scramble ──────────────────────────────────────────
+
+    /**
+     * WCA format: body moves, then each tip turned at random. The 3-layer
+     * body is a random state; other sizes get random layer turns.
+     */
     generateScramble(config) {
-        const moves = [];
-        let lastVertex = -1;
         const N = config.N;
-        const numMoves = N * 10;
-        for (let i = 0; i < numMoves; i++) {
-            let vertex;
-            do { vertex = Math.floor(Math.random() * 4); } while (vertex === lastVertex);
-            // depth 0..N-2 (depth N-1 rotates the whole puzzle, which is useless)
-            const depth = Math.floor(Math.random() * (N - 1));
-            const dir = Math.random() < 0.5 ? 1 : -1;
-            moves.push({ vertex, axis: AXES[vertex], depth, dir });
-            lastVertex = vertex;
+        const moves = [];
+        if (N === 3) {
+            for (const [vertex, dir] of randomBodyScramble()) {
+                moves.push({ vertex, axis: AXES[vertex], depth: 1, dir });
+            }
+        } else if (N > 3) {
+            let lastVertex = -1;
+            for (let i = 0; i < N * 10; i++) {
+                let vertex;
+                do { vertex = Math.floor(Math.random() * 4); } while (vertex === lastVertex);
+                // depth 1..N-2: no tips, and depth N-1 rotates the whole puzzle
+                const depth = 1 + Math.floor(Math.random() * (N - 2));
+                const dir = Math.random() < 0.5 ? 1 : -1;
+                moves.push({ vertex, axis: AXES[vertex], depth, dir });
+                lastVertex = vertex;
+            }
         }
-        return moves;
+        // A 2-layer Pyraminx is all tips: draw again rather than scramble nothing
+        for (;;) {
+            const tips = [];
+            for (let vertex = 0; vertex < 4; vertex++) {
+                const turns = Math.floor(Math.random() * 3);
+                if (turns) tips.push({ vertex, axis: AXES[vertex], depth: 0, dir: turns === 1 ? 1 : -1 });
+            }
+            if (tips.length || moves.length) return [...moves, ...tips];
+        }
+    }
+
+    // ── Notation ──────────────────────────────────────────
+    get hasNotation() { return true; }
+
+    /**
+     * WCA notation: tips u l r b, layers U L R B (the tip and the layer below
+     * it), and on bigger sizes wider blocks Uw (three layers) or nUw
+     * (n layers), each with an optional amount and prime.
+     */
+    parseMove(token, config) {
+        let m, letter, layers, amount;
+        if ((m = token.match(/^([ulrb])(\d*)('?)$/))) {
+            letter = m[1].toUpperCase();
+            layers = 1;
+            amount = parseAmount(m[2], m[3]);
+        } else if ((m = token.match(/^(\d*)([ULRB])(w?)(\d*)('?)$/))) {
+            if (m[1] && !m[3]) return null;
+            letter = m[2];
+            layers = m[1] ? parseInt(m[1]) : (m[3] ? 3 : 2);
+            amount = parseAmount(m[4], m[5]);
+        } else {
+            return null;
+        }
+        // Turning all N layers would rotate the whole puzzle
+        if (amount === null || layers < 1 || layers > config.N - 1) return null;
+
+        const vertex = VERTEX_NAMES.indexOf(letter);
+        const move = { vertex, axis: AXES[vertex], depth: layers - 1, dir: 1 };
+        // Reduce to 0-2 turns; two clockwise turns become one counter-clockwise
+        const turns = ((amount % 3) + 3) % 3;
+        if (turns === 2) return [{ ...move, dir: -1 }];
+        return turns ? [move] : [];
+    }
+
+    formatMove(move, config) {
+        const letter = VERTEX_NAMES[move.vertex];
+        if (!letter) return null;
+        const layers = move.depth + 1;
+        let name;
+        if (layers === 1) name = letter.toLowerCase();
+        else if (layers === 2) name = letter;
+        else name = (layers > 3 ? layers : '') + letter + 'w';
+        return name + (move.dir > 0 ? '' : "'");
+    }
+
+    // ── Arrow-key move resolution ─────────────────────────
+
+    /** Turns about each corner, as deep as needed to carry the piece; only the tip and layers below it turn. */
+    resolveArrowMove(piece, faceIndex, screenDir, viewYaw, viewPitch, config) {
+        const moves = [];
+        for (let vertex = 0; vertex < 4; vertex++) {
+            for (let depth = 0; depth <= config.N - 2; depth++) {
+                const move = { vertex, axis: AXES[vertex], depth, dir: 1 };
+                if (this.isPieceInMove(piece, move)) {
+                    moves.push(move);
+                    break;
+                }
+            }
+        }
+        return pickArrowMove(this, moves, piece, faceIndex, screenDir, viewYaw, viewPitch, config);
     }
 
     // ── Piece Lookup ──────────────────────────────────────
@@ -244,5 +372,10 @@ export class PyraminxPuzzle extends PuzzleDefinition {
         return bestDist < 0.5 ? best : null;
     }
 
-    get has2DView() { return false; }
+    // ── 2D View ───────────────────────────────────────────
+    get has2DView() { return true; }
+
+    create2DView(canvas) {
+        return new PyraminxNetView(canvas, this);
+    }
 }
@@ -0,0 +1,151 @@
+/**
+ * Random-state scrambles for the 3-layer Pyraminx, as the WCA uses: a
+ * uniformly random state of the body (edges and centers), solved optimally
+ * and inverted. Tips are left to the caller.
+ *
+ * Pieces are tracked by position like PyraminxPuzzle: a turn about vertex v
+ * cycles the other vertices by VERTEX_CYCLES, and each sticker's face
+ * (face k lies opposite vertex k) follows its vertex. A body move is
+ * [vertex, dir], dir ±1: a 120° turn of the tip and the layer below it.
+ *
+ * The distance table (11520 edge states) is built on first use. No DOM.
+ */
+import { VERTEX_CYCLES } from './PyraminxConstants.js';
+
+// Edge slots by their two vertices; the stickers lie on the other two faces
+const EDGES = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+const EDGE_FACES = EDGES.map(pair => [0, 1, 2, 3].filter(k => !pair.includes(k)));
+const MOVES = [0, 1, 2, 3].flatMap(v => [[v, 1], [v, -1]]);
+const N_EDGE_STATES = 720 * 64;     // permutation × flip bits (a quarter is reachable)
+const MIN_MOVES = 6;                // redraw states this close to solved
+
+let distances = null;               // Int8Array: edge state → moves to solve, -1 unreachable
+let reachable = null;               // edge states reachable from solved
+
+/** Where vertex x goes when turning vertex v by dir. */
+function image(x, v, dir) {
+    const cycle = VERTEX_CYCLES[v];
+    const i = cycle.indexOf(x);
+    return i < 0 ? x : cycle[(i + (dir > 0 ? 1 : 2)) % 3];
+}
+
+function slotOf(a, b) {
+    return EDGES.findIndex(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+// ── Edge state: piece[slot] = home slot, face[slot] = face of its first sticker ──
+
+function applyEdges({ piece, face }, v, dir) {
+    const next = { piece: [...piece], face: [...face] };
+    EDGES.forEach(([a, b], s) => {
+        if (a !== v && b !== v) return;
+        const t = slotOf(image(a, v, dir), image(b, v, dir));
+        next.piece[t] = piece[s];
+        next.face[t] = image(face[s], v, dir);
+    });
+    return next;
+}
+
+function encode({ piece, face }) {
+    let perm = 0;
+    for (let i = 0; i < 6; i++) {
+        let smaller = 0;
+        for (let j = i + 1; j < 6; j++) if (piece[j] < piece[i]) smaller++;
+        perm = perm * (6 - i) + smaller;
+    }
+    let flips = 0;
+    for (let s = 0; s < 6; s++) flips = flips * 2 + (face[s] === EDGE_FACES[s][0] ? 0 : 1);
+    return perm * 64 + flips;
+}
+
+function decode(index) {
+    let perm = Math.floor(index / 64), flips = index % 64;
+    const digits = [];
+    for (let i = 5; i >= 0; i--) {
+        digits[i] = perm % (6 - i);
+        perm = Math.floor(perm / (6 - i));
+    }
+    const left = [0, 1, 2, 3, 4, 5];
+    const piece = digits.map(d => left.splice(d, 1)[0]);
+    const face = [];
+    for (let s = 5; s >= 0; s--) {
+        face[s] = EDGE_FACES[s][flips % 2];
+        flips = Math.floor(flips / 2);
+    }
+    return { piece, face };
+}
+
+const SOLVED = { piece: [0, 1, 2, 3, 4, 5], face: EDGE_FACES.map(f => f[0]) };
+
+function buildTables() {
+    distances = new Int8Array(N_EDGE_STATES).fill(-1);
+    const start = encode(SOLVED);
+    distances[start] = 0;
+    reachable = [start];
+    for (let i = 0; i < reachable.length; i++) {
+        const state = decode(reachable[i]);
+        for (const [v, dir] of MOVES) {
+            const next = encode(applyEdges(state, v, dir));
+            if (distances[next] >= 0) continue;
+            distances[next] = distances[reachable[i]] + 1;
+            reachable.push(next);
+        }
+    }
+}
+
+// ── Solving ─────────────────────────────────────────────
+
+/** Iterative deepening; centers need one turn each, edges their table distance. */
+function search(edges, twists) {
+    if (!distances) buildTables();
+    const path = [];
+    const dfs = (state, depth, last) => {
+        const index = encode(state);
+        const twisted = twists.filter(t => t).length;
+        if (Math.max(distances[index], twisted) > depth) return false;
+        if (depth === 0) return true;
+        for (const [v, dir] of MOVES) {
+            if (v === last) continue;
+            twists[v] = (twists[v] + dir + 3) % 3;
+            path.push([v, dir]);
+            if (dfs(applyEdges(state, v, dir), depth - 1, v)) return true;
+            path.pop();
+            twists[v] = (twists[v] - dir + 3) % 3;
+        }
+        return false;
+    };
+    for (let depth = 0; ; depth++) {
+        if (dfs(edges, depth, -1)) return path;
+    }
+}
+
+/**
+ * Optimal body solution for the state reached from solved by `moves`.
+ * Solving the centers also restores the tips.
+ * @param {Array<[number, number]>} moves - Body moves [vertex, dir]
+ * @returns {Array<[number, number]>}
+ */
+export function solveBody(moves) {
+    let edges = SOLVED;
+    const twists = [0, 0, 0, 0];
+    for (const [v, dir] of moves) {
+        edges = applyEdges(edges, v, dir);
+        twists[v] = (twists[v] + dir + 3) % 3;
+    }
+    return search(edges, twists);
+}
+
+/**
+ * Body moves reaching a uniformly random state (at least MIN_MOVES from solved).
+ * @returns {Array<[number, number]>} Body moves [vertex, dir]
+ */
+export function randomBodyScramble() {
+    if (!distances) buildTables();
+    for (;;) {
+        const edges = decode(reachable[Math.floor(Math.random() * reachable.length)]);
+        const twists = [0, 1, 2, 3].map(() => Math.floor(Math.random() * 3));
+        const solution = search(edges, twists);
+        if (solution.length < MIN_MOVES) continue;
+        return solution.reverse().map(([v, dir]) => [v, -dir]);
+    }
+}
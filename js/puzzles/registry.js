@@ -0,0 +1,23 @@
+/**
+ * Registry of available puzzles: id → factory. DOM-free, so the app and
+ * headless scripts share one list.
+ */
+import { CubePuzzle } from './cube/CubePuzzle.js';
+import { CuboidPuzzle } from './cuboid/CuboidPuzzle.js';
+import { PyraminxPuzzle } from './pyraminx/PyraminxPuzzle.js';
+import { MegaminxPuzzle } from './megaminx/MegaminxPuzzle.js';
+import { SkewbPuzzle } from './skewb/SkewbPuzzle.js';
+import { FTOPuzzle } from './fto/FTOPuzzle.js';
+import { CutPuzzle } from './cut/CutPuzzle.js';
+import { DINO_CUBE, HELICOPTER_CUBE } from './cut/specs.js';
+
+export const PUZZLES = {
+    cube: () => new CubePuzzle(),
+    cuboid: () => new CuboidPuzzle(),
+    pyraminx: () => new PyraminxPuzzle(),
+    megaminx: () => new MegaminxPuzzle(),
+    skewb: () => new SkewbPuzzle(),
+    fto: () => new FTOPuzzle(),
+    dino: () => new CutPuzzle(DINO_CUBE),
+    helicopter: () => new CutPuzzle(HELICOPTER_CUBE),
+};
@@ -0,0 +1,54 @@
+/**
+ * Shared constants for the Skewb puzzle.
+ *
+ * The Skewb is a cube [-1, 1]³ cut by the four planes through its center
+ * perpendicular to the body diagonals. Each turn rotates half the puzzle
+ * (4 corners + 3 centers) by 120° around a corner axis.
+ * Coordinates follow the cube: Y- is up, X+ right, Z+ front.
+ */
+
+// Face colors, same face order and palette as the Rubik's Cube
+export const COLORS = {
+    0: '#FFE135', // Yellow (Top, Y-)
+    1: '#FF3B30', // Red    (Bottom, Y+)
+    2: '#32CD32', // Green  (Left, X-)
+    3: '#00CFFF', // Cyan   (Right, X+)
+    4: '#FF69B4', // Pink   (Front, Z+)
+    5: '#0066CC', // Blue   (Back, Z-)
+};
+
+// Outward normal of each face, indexed by face ID
+export const FACE_NORMALS = [
+    [0, -1, 0], [0, 1, 0], [-1, 0, 0], [1, 0, 0], [0, 0, 1], [0, 0, -1],
+];
+
+// The 8 cube corners
+export const CORNERS = [
+    [-1, -1, -1], [ 1, -1, -1], [-1, -1,  1], [ 1, -1,  1],
+    [-1,  1, -1], [ 1,  1, -1], [-1,  1,  1], [ 1,  1,  1],
+];
+
+// Rotation axes: unit vectors from the center through each corner
+const R3 = 1 / Math.sqrt(3);
+export const AXES = CORNERS.map(c => c.map(x => x * R3));
+
+/**
+ * WCA notation: each letter turns the half containing that corner,
+ * clockwise as seen looking at the corner.
+ *   R = down-right-back, U = up-left-back, L = down-left-front, B = down-left-back
+ */
+export const NOTATION_CORNERS = { R: 5, U: 0, L: 6, B: 4 };
+
+/**
+ * Every piece has 6 polygon slots of 4 vertices each (triangles repeat
+ * their last vertex; unused slots collapse to the piece center and are
+ * culled). Corners: 3 triangular stickers + 3 inner faces.
+ * Centers: 1 square sticker + 4 inner faces.
+ */
+export const FACE_SLOTS = 6;
+export const VERTS_PER_FACE = 4;
+export const FACE_DEFS = Array.from({ length: FACE_SLOTS }, (_, f) => ({
+    idx: [0, 1, 2, 3].map(i => f * VERTS_PER_FACE + i),
+}));
+
+export const SCRAMBLE_LENGTH = 15;
@@ -0,0 +1,208 @@
+import { PuzzleDefinition, PIECE_GAP } from '../PuzzleDefinition.js';
+import { rotatePointAroundAxis } from '../../engine/math.js';
+import { parseAmount } from '../../engine/notation.js';
+import {
+    COLORS, FACE_NORMALS, CORNERS, AXES, NOTATION_CORNERS,
+    FACE_DEFS, FACE_SLOTS, VERTS_PER_FACE, SCRAMBLE_LENGTH,
+} from './SkewbConstants.js';
+
+const ORIGIN = [0, 0, 0];
+
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const centroid = (verts) => [0, 1, 2].map(i => verts.reduce((s, v) => s + v[i], 0) / verts.length);
+
+export class SkewbPuzzle extends PuzzleDefinition {
+
+    // ── Identity ──────────────────────────────────────────
+    get name()         { return 'Skewb'; }
+    get id()           { return 'skewb'; }
+    get colors()       { return COLORS; }
+    get faceCount()    { return FACE_NORMALS.length; }
+    get faceDefs()     { return FACE_DEFS; }
+    get vertsPerFace() { return VERTS_PER_FACE; }
+    get moveAngle()    { return (2 * Math.PI) / 3; }
+
+    // ── Configuration ─────────────────────────────────────
+    get defaultConfig() { return { selectedDepth: 1 }; }
+    get configParams()  { return []; }
+    onConfigChange(config) { config.spacing = 150; }
+
+    // ── Moves ─────────────────────────────────────────────
+    get baseMoves() {
+        return {
+            'r': { vertex: NOTATION_CORNERS.R, dir: 1 },
+            'u': { vertex: NOTATION_CORNERS.U, dir: 1 },
+            'l': { vertex: NOTATION_CORNERS.L, dir: 1 },
+            'b': { vertex: NOTATION_CORNERS.B, dir: 1 },
+        };
+    }
+
+    resolveMove(baseMove, reversed, config) {
+        return {
+            vertex: baseMove.vertex,
+            axis: AXES[baseMove.vertex],
+            dir: reversed ? -baseMove.dir : baseMove.dir,
+        };
+    }
+
+    // ── Piece Creation ────────────────────────────────────
+    createPieces(config) {
+        const pieces = [];
+
+        // 6 centers: a square sticker whose corners are the face's edge midpoints
+        FACE_NORMALS.forEach((normal, faceId) => {
+            const axis = normal.findIndex(c => c !== 0);
+            const [u, v] = [0, 1, 2].filter(i => i !== axis);
+            const square = [[u, 1], [v, 1], [u, -1], [v, -1]].map(([i, s]) => {
+                const p = [0, 0, 0];
+                p[axis] = normal[axis];
+                p[i] = s;
+                return p;
+            });
+            const inner = square.map((a, i) => [ORIGIN, a, square[(i + 1) % 4]]);
+            pieces.push(this._makePiece([{ verts: square, faceId }, ...inner]));
+        });
+
+        // 8 corners: three triangular stickers; inner faces lie on the cut planes
+        for (const corner of CORNERS) {
+            // Edge midpoints next to the corner: mids[i] has coordinate i zeroed
+            const mids = [0, 1, 2].map(i => corner.map((c, j) => (j === i ? 0 : c)));
+            const faces = [];
+            for (let i = 0; i < 3; i++) {
+                const [j, k] = [0, 1, 2].filter(n => n !== i);
+                const faceId = FACE_NORMALS.findIndex(n => n[i] === corner[i]);
+                faces.push({ verts: [corner, mids[j], mids[k]], faceId });
+            }
+            faces.push([ORIGIN, mids[0], mids[1]], [ORIGIN, mids[1], mids[2]], [ORIGIN, mids[2], mids[0]]);
+            pieces.push(this._makePiece(faces));
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Build a piece from its polygons: stickered faces as { verts, faceId },
+     * inner faces as bare vertex arrays. Each polygon is wound outward and
+     * shrunk toward the piece center.
+     */
+    _makePiece(faces) {
+        const polys = faces.map(f => (Array.isArray(f) ? f : f.verts));
+        const unique = [];
+        for (const v of polys.flat()) {
+            if (!unique.some(u => u[0] === v[0] && u[1] === v[1] && u[2] === v[2])) unique.push(v);
+        }
+        const m = centroid(unique);
+
+        const p = [];
+        const stickers = new Array(FACE_SLOTS).fill(null);
+        for (let slot = 0; slot < FACE_SLOTS; slot++) {
+            const face = faces[slot];
+            if (!face) {
+                for (let i = 0; i < VERTS_PER_FACE; i++) p.push([...m]);
+                continue;
+            }
+            let verts = polys[slot];
+            const [a, b, c] = verts;
+            if (dot3(cross3(sub3(b, a), sub3(c, a)), sub3(centroid(verts), m)) < 0) verts = [...verts].reverse();
+            for (let i = 0; i < VERTS_PER_FACE; i++) {
+                const v = verts[Math.min(i, verts.length - 1)];
+                p.push(v.map((x, k) => m[k] + (x - m[k]) * PIECE_GAP));
+            }
+            if (!Array.isArray(face)) stickers[slot] = { faceId: face.faceId };
+        }
+        return { m, p, stickers };
+    }
+
+    // ── Layer Detection ───────────────────────────────────
+    isPieceInMove(piece, move) {
+        return dot3(piece.m, move.axis) > 0.01;
+    }
+
+    // ── Rotation ──────────────────────────────────────────
+    applyRotation(pieces, move) {
+        const { axis, dir } = move;
+        const angle = this.moveAngle * dir;
+        for (const piece of pieces) {
+            if (!this.isPieceInMove(piece, move)) continue;
+            for (let i = 0; i < piece.p.length; i++) {
+                piece.p[i] = rotatePointAroundAxis(piece.p[i], axis, angle);
+            }
+            piece.m = rotatePointAroundAxis(piece.m, axis, angle);
+        }
+    }
+
+    // ── Color / Rendering ─────────────────────────────────
+    getStickerColor(piece, slot) {
+        if (slot < 0 || slot >= FACE_SLOTS) return null;
+        const sticker = piece.stickers[slot];
+        return sticker ? sticker.faceId : null;
+    }
+
+    detectWorldFace(piece, faceVerts) {
+        const [a, b, c] = faceVerts;
+        const n = cross3(sub3(b, a), sub3(c, a));
+        const len = Math.hypot(n[0], n[1], n[2]);
+        if (len < 1e-9) return -1;
+        let best = -1, bestDot = -Infinity;
+        for (let i = 0; i < FACE_NORMALS.length; i++) {
+            const d = dot3(n, FACE_NORMALS[i]) / len;
+            if (d > bestDot) { bestDot = d; best = i; }
+        }
+        return bestDot > 0.9 ? best : -1;
+    }
+
+    getSpacing(config) { return config.spacing; }
+
+    /** Solved when each of the 6 world faces shows a single color. */
+    isSolved(pieces) {
+        const faceColor = new Array(FACE_NORMALS.length).fill(null);
+        for (const piece of pieces) {
+            for (let slot = 0; slot < FACE_SLOTS; slot++) {
+                const sticker = piece.stickers[slot];
+                if (!sticker) continue;
+                const face = this.detectWorldFace(piece, FACE_DEFS[slot].idx.map(i => piece.p[i]));
+                if (face < 0) return false;
+                if (faceColor[face] === null) faceColor[face] = sticker.faceId;
+                else if (faceColor[face] !== sticker.faceId) return false;
+            }
+        }
+        return true;
+    }
+
+    // ── Notation ──────────────────────────────────────────
+    get hasNotation() { return true; }
+
+    /** WCA notation: R U L B with optional amount and prime ("R", "U'", "L2"). */
+    parseMove(token, config) {
+        const m = token.match(/^([RULB])(\d*)('?)$/);
+        const amount = m && parseAmount(m[2], m[3]);
+        if (!amount) return null;
+        const base = this.resolveMove({ vertex: NOTATION_CORNERS[m[1]], dir: 1 }, false, config);
+        // Reduce to 0-2 turns; two clockwise turns become one counter-clockwise
+        const turns = ((amount % 3) + 3) % 3;
+        if (turns === 2) return [{ ...base, dir: -1 }];
+        return turns ? [base] : [];
+    }
+
+    formatMove(move, config) {
+        const letter = Object.keys(NOTATION_CORNERS).find(k => NOTATION_CORNERS[k] === move.vertex);
+        if (!letter) return null;
+        return letter + (move.dir > 0 ? '' : "'");
+    }
+
+    // ── Scramble ──────────────────────────────────────────
+    generateScramble(config) {
+        const corners = Object.values(NOTATION_CORNERS);
+        const moves = [];
+        let last = -1;
+        for (let i = 0; i < SCRAMBLE_LENGTH; i++) {
+            let vertex;
+            do { vertex = corners[Math.floor(Math.random() * corners.length)]; } while (vertex === last);
+            moves.push({ vertex, axis: AXES[vertex], dir: Math.random() < 0.5 ? 1 : -1 });
+            last = vertex;
+        }
+        return moves;
+    }
+}
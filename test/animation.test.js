@@ -0,0 +1,109 @@
+/**
+ * Move animation queue: easing, blocked moves, and turns that start partway,
+ * as a turn dragged by hand does.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { AnimationQueue } from '../js/engine/AnimationQueue.js';
+import { ease, easeInverse } from '../js/engine/math.js';
+import { stubEngine } from './fixtures.js';
+
+describe('animation queue', () => {
+    it('applies a move once its duration has passed', () => {
+        const { puzzle, pieces, config } = createState('cube');
+        const queue = new AnimationQueue();
+        const [move] = puzzle.parseAlgorithm('R', config);
+        queue.queueMove(move);
+        assert.equal(queue.update(0, puzzle, pieces).progress, 0);
+        assert.equal(queue.update(150, puzzle, pieces).progress, 0.5);
+        const { applied, current } = queue.update(300, puzzle, pieces);
+        assert.equal(applied, move);
+        assert.equal(current, null);
+    });
+
+    it('inverts the easing curve', () => {
+        for (const t of [0, 0.1, 0.25, 0.5, 0.8, 1]) assert.ok(Math.abs(easeInverse(ease(t)) - t) < 1e-9, String(t));
+    });
+
+    it('picks up a dragged turn where the drag left it', () => {
+        const { puzzle, pieces, config } = createState('cube');
+        const queue = new AnimationQueue();
+        const [move] = puzzle.parseAlgorithm('U', config);
+        queue.queueMove(move, 0.7);
+        const { progress } = queue.update(1000, puzzle, pieces);
+        assert.ok(Math.abs(ease(progress) - 0.7) < 1e-9);
+        assert.equal(queue.update(1000 + (1 - progress) * queue.moveDuration, puzzle, pieces).applied, move);
+    });
+});
+
+describe('dragged turns', () => {
+    const STEP = 120;
+
+    /** An engine with a drag begun on the front sticker of the UFR corner, at (400, 400). */
+    function dragOnCorner(m = [1, -1, 1]) {
+        const engine = stubEngine();
+        engine.input.turnDrag = { hit: { faceIndex: 4, m }, x: 400, y: 400, move: null, fraction: 0 };
+        return engine;
+    }
+
+    const queued = (engine) => engine.animation.queue.map(({ move, from }) => ({ dir: move.dir, from }));
+
+    it('waits for the drag to pick a direction', () => {
+        const { input } = dragOnCorner();
+        assert.equal(input._dragTurn(403, 400), true);
+        assert.equal(input.turnDrag.move, null);
+        assert.equal(input.turnPreview, null);
+    });
+
+    it('turns the layer as many steps as it is dragged', () => {
+        const { input } = dragOnCorner();
+        input._dragTurn(420, 400);
+        const { move } = input.turnDrag;
+        assert.ok(move);
+        assert.equal(input._dragTurn(400 + 2.7 * STEP, 400), true);
+        assert.ok(Math.abs(input.turnDrag.fraction - 2.7) < 1e-9);
+        assert.ok(Math.abs(input.turnPreview.dir - 2.7 * move.dir) < 1e-9);
+    });
+
+    it('queues the nearest whole number of steps on release, the last from where the layer is', () => {
+        const engine = dragOnCorner();
+        const { input } = engine;
+        input._dragTurn(420, 400);
+        const { dir } = input.turnDrag.move;
+        input._dragTurn(400 + 2.7 * STEP, 400);
+        input._releaseTurn();
+        assert.equal(input.turnDrag, null);
+        assert.equal(input.turnPreview, null);
+        const steps = queued(engine);
+        assert.deepEqual(steps.slice(0, 2), [{ dir, from: 1 }, { dir, from: 1 }]);
+        assert.equal(steps.length, 3);
+        assert.ok(Math.abs(steps[2].from - 0.7) < 1e-9);
+        assert.equal(engine.history.moves.length, 3);
+    });
+
+    it('turns back against the drag, and drops back short of halfway', () => {
+        const engine = dragOnCorner();
+        const { input } = engine;
+        input._dragTurn(420, 400);
+        const { dir } = input.turnDrag.move;
+        input._dragTurn(400 - 0.6 * STEP, 400);
+        input._releaseTurn();
+        assert.equal(queued(engine).length, 1);
+        assert.equal(queued(engine)[0].dir, -dir);
+        assert.ok(Math.abs(queued(engine)[0].from - 0.6) < 1e-9);
+
+        const short = dragOnCorner();
+        short.input._dragTurn(420, 400);
+        short.input._dragTurn(400 + 0.4 * STEP, 400);
+        short.input._releaseTurn();
+        assert.deepEqual(queued(short), []);
+    });
+
+    it('lets the drag orbit when no layer turns that way', () => {
+        const { input } = dragOnCorner([5, 5, 5]);
+        assert.equal(input._dragTurn(420, 400), false);
+        assert.equal(input.turnDrag, null);
+        assert.equal(input.turnPreview, null);
+    });
+});
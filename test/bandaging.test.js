@@ -0,0 +1,61 @@
+/**
+ * Bandaged cube: block parsing, move blocking and bond toggling.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBandages, formatBandages, toggleBond } from '../js/puzzles/cube/CubeBandaging.js';
+import { createState } from '../js/headless.js';
+import { stubEngine } from './fixtures.js';
+
+describe('cube bandaging', () => {
+    it('normalizes the text form', () => {
+        // Overlapping groups merge, lone and out-of-range cubies are dropped
+        const blocks = parseBandages('1,0,2+0,0,2; 0,0,2+0,1,2; 2,2,2; 5,0,0+4,0,0; junk', 3);
+        assert.equal(formatBandages(blocks), '0,0,2+0,1,2+1,0,2');
+    });
+
+    it('splits blocks that are not face-connected', () => {
+        assert.equal(formatBandages(parseBandages('0,0,0+2,0,0', 3)), '');
+        assert.equal(formatBandages(toggleBond(parseBandages('0,0,0+1,0,0+2,0,0', 3), [0, 0, 0], [1, 0, 0])), '');
+    });
+
+    it('blocks moves that would split a block', () => {
+        const state = createState('cube', { bandages: '0,0,2+1,0,2' });
+        const { puzzle, pieces } = state;
+        const [R] = puzzle.parseMove('R', state.config);
+        const [L] = puzzle.parseMove('L', state.config);
+        const [U] = puzzle.parseMove('U', state.config);
+        assert.equal(puzzle.isMoveBlocked(pieces, R), false);
+        assert.equal(puzzle.isMoveBlocked(pieces, L), true);
+        assert.equal(puzzle.isMoveBlocked(pieces, U), false);
+        assert.match(puzzle.blockedReason, /bandaged/);
+        assert.throws(() => state.applyMoves([L]), /bandaged/);
+    });
+
+    it('keeps blocks with their cubies through a scramble', () => {
+        const state = createState('cube', { bandages: '0,0,2+1,0,2' });
+        state.scramble();
+        const block = state.pieces.filter(p => p.block === 0);
+        assert.equal(block.length, 2);
+        const [a, b] = block.map(p => p.m);
+        assert.equal(Math.round(Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])), 1, 'block was split');
+    });
+
+    it('plans a scramble queued mid-animation from where the queue leaves the cube', () => {
+        for (let round = 0; round < 5; round++) {
+            const engine = stubEngine('cube', { bandages: '0,0,2+1,0,2; 2,2,0+2,1,0' });
+            engine.scramble();
+            engine.scramble();
+            const blocked = [];
+            for (let time = 0; engine.animation.isAnimating; time += engine.animation.moveDuration) {
+                blocked.push(...engine.animation.update(time, engine.puzzle, engine.pieces).blocked);
+            }
+            assert.deepEqual(blocked, []);
+        }
+    });
+
+    it('is not solvable by the two-phase solver', () => {
+        const state = createState('cube', { bandages: '0,0,2+1,0,2' });
+        assert.equal(state.puzzle.canSolve(state.config), false);
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * Conformance kit for PuzzleDefinition implementations. Every invariant is
+ * checked through the headless PuzzleState, so it needs no DOM:
+ *
+ *   - a move applied 360°/moveAngle times is the identity
+ *   - a move followed by invertMove(move) is the identity
+ *   - sticker counts per color are preserved
+ *   - generateScramble only produces legal moves, none of them blocked
+ *   - findPieceAt finds every piece
+ *   - resolveArrowMove, where supported, starts a visible sticker moving along the arrow
+ *
+ *   import { describeConformance } from './conformance.js';
+ *   describeConformance('skewb', () => new SkewbPuzzle());
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PuzzleState } from '../js/engine/PuzzleState.js';
+import { project, rotatePoint, rotatePointAroundAxis, worldToScreen } from '../js/engine/math.js';
+
+/**
+ * Configs to exercise: the defaults, plus each numeric parameter at its
+ * minimum and one above, with everything else at default.
+ * @param {PuzzleDefinition} puzzle
+ * @returns {Array<Object>}
+ */
+export function sampleConfigs(puzzle) {
+    const configs = [{ ...puzzle.defaultConfig }];
+    for (const param of puzzle.configParams) {
+        if (param.type !== 'number') continue;
+        for (const value of [param.min, param.min + 1]) {
+            if (value > param.max || value === puzzle.defaultConfig[param.key]) continue;
+            configs.push({ ...puzzle.defaultConfig, [param.key]: value });
+        }
+    }
+    return configs;
+}
+
+/**
+ * Every move reachable from the keyboard (each base move, both directions,
+ * at each selectable depth), without duplicates. Moves a bandaged puzzle
+ * blocks from some state are filtered out where that state is used.
+ * @returns {Array<Object>}
+ */
+export function keyboardMoves(puzzle, config) {
+    const seen = new Set();
+    const moves = [];
+    const maxDepth = config.N ?? 1;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        const depthConfig = { ...config, selectedDepth: depth };
+        for (const base of Object.values(puzzle.baseMoves)) {
+            for (const reversed of [false, true]) {
+                const move = puzzle.resolveMove(base, reversed, depthConfig);
+                const key = JSON.stringify(move);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                moves.push(move);
+            }
+        }
+    }
+    return moves;
+}
+
+/** @returns {Object<number, number>} Color → number of stickers showing on some face */
+function colorCounts(state) {
+    const { puzzle, config } = state;
+    const counts = {};
+    for (const piece of state.pieces) {
+        puzzle.faceDefs.forEach((def, slot) => {
+            const sticker = piece.stickers[slot];
+            if (!sticker) return;
+            const face = puzzle.detectWorldFace(piece, def.idx.map(k => piece.p[k]), config);
+            if (face < 0) return;
+            counts[sticker.faceId] = (counts[sticker.faceId] || 0) + 1;
+        });
+    }
+    return counts;
+}
+
+/** @returns {string} Sorted piece positions — the puzzle's shape */
+function shape(state) {
+    return state.pieces.map(p => p.m.map(c => Math.round(c * 1000) || 0).join(',')).sort().join(';');
+}
+
+const describeMove = (puzzle, move, config) =>
+    (puzzle.hasNotation && puzzle.formatMove(move, config)) || JSON.stringify(move);
+
+const ARROWS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = (a) => a.map(x => x / Math.hypot(...a));
+/** A move's axis as a unit vector: the cube family numbers its axes 0-2. */
+const axisVector = (axis) => (Array.isArray(axis) ? unit(axis) : [0, 1, 2].map(i => (i === axis ? 1 : 0)));
+const centroid = (verts) => [0, 1, 2].map(c => verts.reduce((s, v) => s + v[c], 0) / verts.length);
+
+/**
+ * Check resolveArrowMove for every visible sticker of a state and every
+ * arrow key, from the default camera: the move turns the selected piece and
+ * starts the sticker moving clearly along the arrow on screen, or at least
+ * as far along it as any keyboard move of the piece does.
+ * @param {PuzzleState} state
+ */
+export function assertArrowMoves(state) {
+    const { puzzle, config } = state;
+    const { yaw, pitch } = puzzle.defaultViewAngles;
+    const candidates = keyboardMoves(puzzle, config);
+    // Screen shift of the sticker's centroid, its layer turned a hair as Renderer3D turns it
+    // (orthographic, as pickArrowMove measures it); null if it only spins in place
+    const shift = (verts, move) => {
+        const angle = 1e-4 * puzzle.moveAngle * move.dir;
+        const turned = verts.map(v => Array.isArray(move.axis)
+            ? rotatePointAroundAxis(v, move.axis, angle) : rotatePoint(v, move.axis, angle));
+        const [a, b] = [centroid(verts), centroid(turned)];
+        const [dx, dy] = worldToScreen(b[0] - a[0], b[1] - a[1], b[2] - a[2], yaw, pitch);
+        return Math.hypot(dx, dy) < 1e-12 ? null : [dx, dy];
+    };
+    for (const piece of state.pieces) {
+        puzzle.faceDefs.forEach((def, slot) => {
+            if (!piece.stickers[slot]) return;
+            const verts = def.idx.map(i => piece.p[i]);
+            const faceIndex = puzzle.detectWorldFace(piece, verts, config);
+            if (faceIndex < 0) return;
+            const screen = verts.map(v => project(v[0], v[1], v[2], yaw, pitch, 0, 0));
+            if (!puzzle.isFrontFacing(screen)) return;
+            const normal = unit(cross3(sub3(verts[1], verts[0]), sub3(verts[2], verts[0])));
+            for (const arrow of ARROWS) {
+                const move = puzzle.resolveArrowMove(piece, faceIndex, arrow, yaw, pitch, config);
+                if (!move) return;
+                const name = describeMove(puzzle, move, config);
+                assert.ok(puzzle.isPieceInMove(piece, move), `${name} leaves the selected piece`);
+                const moved = shift(verts, move);
+                if (!moved) continue;
+                // Clearly along the arrow...
+                const along = moved[0] * arrow[0] + moved[1] * arrow[1];
+                if (along > 0.3 * Math.hypot(...moved)) continue;
+                // ...or, where no turn is, at least as far along it as any turn of the piece but its own face's
+                const best = Math.max(...candidates
+                    .filter(c => puzzle.isPieceInMove(piece, c) && Math.abs(dot3(axisVector(c.axis), normal)) < 0.99)
+                    .map(c => shift(verts, c) ?? [0, 0])
+                    .map(([dx, dy]) => dx * arrow[0] + dy * arrow[1]));
+                assert.ok(along >= best - 1e-6 * Math.hypot(...moved), `${name} moves against [${arrow}]`);
+            }
+        });
+    }
+}
+
+/**
+ * Register node:test suites checking every invariant for one puzzle.
+ * @param {string} name - Suite name (usually the registry id)
+ * @param {Function} factory - () => PuzzleDefinition
+ * @param {Array<Object>} [configs] - Defaults to sampleConfigs(factory())
+ */
+export function describeConformance(name, factory, configs = sampleConfigs(factory())) {
+    for (const config of configs) {
+        const label = Object.entries(config)
+            .filter(([key]) => factory().configParams.some(p => p.key === key && p.type === 'number'))
+            .map(([key, value]) => `${key}=${value}`).join(' ');
+
+        describe(`${name}${label ? ` (${label})` : ''}`, () => {
+            const puzzle = factory();
+            const solved = new PuzzleState(puzzle, { ...config });
+            const moves = keyboardMoves(puzzle, solved.config);
+            const order = Math.round(2 * Math.PI / puzzle.moveAngle);
+
+            it('creates a solved puzzle', () => {
+                assert.ok(solved.pieces.length > 0, 'no pieces');
+                assert.ok(solved.isSolved(), 'isSolved() is false for createPieces()');
+            });
+
+            const playable = (state) => moves.filter(move => !puzzle.isMoveBlocked(state.pieces, move));
+
+            it(`returns to solved after any move is applied ${order} times`, () => {
+                for (const move of playable(solved)) {
+                    const state = solved.clone();
+                    for (let i = 0; i < order; i++) state.applyMoves([move]);
+                    assert.ok(state.equals(solved), `${describeMove(puzzle, move, solved.config)} ×${order}`);
+                }
+            });
+
+            it('undoes any move with invertMove', () => {
+                const scrambled = solved.clone();
+                scrambled.scramble();
+                for (const move of playable(scrambled)) {
+                    const state = scrambled.clone();
+                    state.applyMoves([move, puzzle.invertMove(move)]);
+                    assert.ok(state.equals(scrambled), describeMove(puzzle, move, solved.config));
+                }
+            });
+
+            it('preserves sticker counts per color', () => {
+                const expected = colorCounts(solved);
+                const state = solved.clone();
+                for (const move of moves) {
+                    if (puzzle.isMoveBlocked(state.pieces, move)) continue;
+                    state.applyMoves([move]);
+                    assert.deepEqual(colorCounts(state), expected,
+                        `after ${describeMove(puzzle, move, solved.config)}`);
+                }
+                state.scramble();
+                assert.deepEqual(colorCounts(state), expected, 'after a scramble');
+            });
+
+            it('scrambles with legal moves only', () => {
+                const state = solved.clone();
+                const solvedShape = shape(solved);
+                for (const move of puzzle.generateScramble(state.config, state.pieces)) {
+                    const name = describeMove(puzzle, move, state.config);
+                    assert.ok(!puzzle.isMoveBlocked(state.pieces, move), `${name} is blocked`);
+                    const turned = state.pieces.filter(p => puzzle.isPieceInMove(p, move)).length;
+                    assert.ok(turned > 0, `${name} turns no pieces`);
+                    state.applyMoves([move]);
+                    assert.equal(shape(state), solvedShape, `${name} leaves pieces out of place`);
+                }
+            });
+
+            it('finds every piece with findPieceAt', () => {
+                const state = solved.clone();
+                state.scramble();
+                for (const piece of state.pieces) {
+                    assert.equal(puzzle.findPieceAt(state.pieces, piece.m), piece,
+                        `no piece found at ${piece.m.map(c => c.toFixed(3)).join(', ')}`);
+                }
+            });
+
+            it('turns a selected sticker the way an arrow key points', () => {
+                assertArrowMoves(solved);
+            });
+        });
+    }
+}
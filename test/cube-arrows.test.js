@@ -0,0 +1,27 @@
+/**
+ * Cube arrow keys and drags: the turn picked for a selected sticker starts
+ * it moving along the arrow on screen.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { assertArrowMoves } from './conformance.js';
+
+describe('cube arrow turns', () => {
+    it('moves a center sticker along the arrow', () => {
+        const state = createState('cube');
+        const center = state.pieces.find(p => p.m[0] === 0 && p.m[1] === 0 && p.m[2] === 1);
+        const { yaw, pitch } = state.puzzle.defaultViewAngles;
+        // F center: right and left turn the E slice, up and down the M slice
+        assert.equal(state.puzzle.resolveArrowMove(center, 4, [1, 0], yaw, pitch, state.config).axis, 1);
+        assert.equal(state.puzzle.resolveArrowMove(center, 4, [0, -1], yaw, pitch, state.config).axis, 0);
+    });
+
+    it('moves every sticker along the arrow, even on a 1×1×1', () => {
+        for (const N of [1, 2, 3, 4]) assertArrowMoves(createState('cube', { N }));
+    });
+
+    it('moves every sticker along the arrow on a cuboid', () => {
+        assertArrowMoves(createState('cuboid', { X: 2, Y: 3, Z: 1 }));
+    });
+});
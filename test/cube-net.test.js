@@ -0,0 +1,47 @@
+/**
+ * Cube cross-net 2D view and the choice between it and the trefoil.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { sanitizeConfig } from '../js/engine/snapshot.js';
+import { CubeNetView } from '../js/puzzles/cube/CubeNetView.js';
+import { CubeTrefoilView } from '../js/puzzles/cube/CubeTrefoilView.js';
+import { stubCanvas, describe2DView } from './fixtures.js';
+
+const canvas = stubCanvas();
+
+function netView(state) {
+    const view = state.puzzle.create2DView(canvas, state.config);
+    view.updateScaling(state.config);
+    return view;
+}
+
+describe('cube net view', () => {
+    it('is picked by the 2D view option', () => {
+        const { puzzle } = createState('cube');
+        assert.ok(puzzle.create2DView(canvas, sanitizeConfig(puzzle, {})) instanceof CubeTrefoilView);
+        assert.ok(puzzle.create2DView(canvas, sanitizeConfig(puzzle, { view2d: 'net' })) instanceof CubeNetView);
+        assert.equal(sanitizeConfig(puzzle, { view2d: 'spiral' }).view2d, 'trefoil');
+    });
+
+    it('points arrows along the way a turn moves the sticker', () => {
+        const state = createState('cube', { view2d: 'net' });
+        const { puzzle, pieces, config } = state;
+        const view = netView(state);
+        // Directions are for dir = +1; U' turns the top of F to the right
+        const piece = puzzle.findPieceAt(pieces, [1, -1, 1]);
+        const [dx, dy] = view.computeArrowDirection(piece, 4, 1, config);
+        const [Ui] = puzzle.parseMove("U'", config);
+        assert.ok(dx * Ui.dir > 0);
+        assert.equal(dy, 0);
+    });
+});
+
+for (const [N, alg] of [[1, "R U' F2"], [2, "R U' F2 D' B"], [4, "R U' Fw D2 B' l"]]) {
+    describe2DView(`cube net view, N=${N}`, {
+        state: () => createState('cube', { N, view2d: 'net' }),
+        moves: ({ puzzle, config }) => puzzle.parseAlgorithm(alg, config),
+        stickers: 6 * N * N,
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * Cube notation: turn directions as a solver or speedcuber reads them.
+ *
+ *   node --test test/
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubePuzzle } from '../js/puzzles/cube/CubePuzzle.js';
+
+// World faces and their solved colors: 0 U, 1 D, 2 L, 3 R, 4 F, 5 B
+const [U, D, L, R, F, B] = [0, 1, 2, 3, 4, 5];
+
+function solvedCube(N = 3) {
+    const puzzle = new CubePuzzle();
+    const config = { ...puzzle.defaultConfig, N };
+    puzzle.onConfigChange(config);
+    return { puzzle, config, pieces: puzzle.createPieces(config) };
+}
+
+/** Colors showing on `face` along the row of cubies where m[axis] = value. */
+function rowColors({ puzzle, config, pieces }, face, axis, value) {
+    return pieces.filter(p => p.m[axis] === value)
+        .map(p => puzzle.getFaceColor(p, face, config))
+        .filter(c => c !== null);
+}
+
+function turn(cube, text) {
+    for (const move of cube.puzzle.parseAlgorithm(text, cube.config)) cube.puzzle.applyRotation(cube.pieces, move);
+}
+
+describe('cube notation', () => {
+    // Y points down, so U (the y = -half layer) is the top row
+    it('turns U clockwise seen from above: the F top row goes to L', () => {
+        const cube = solvedCube();
+        turn(cube, 'U');
+        assert.deepEqual(rowColors(cube, L, 1, -cube.config.half), [F, F, F]);
+        assert.deepEqual(rowColors(cube, F, 1, -cube.config.half), [R, R, R]);
+    });
+
+    it('turns D clockwise seen from below: the F bottom row goes to R', () => {
+        const cube = solvedCube();
+        turn(cube, 'D');
+        assert.deepEqual(rowColors(cube, R, 1, cube.config.half), [F, F, F]);
+        assert.deepEqual(rowColors(cube, F, 1, cube.config.half), [L, L, L]);
+    });
+
+    it('turns R clockwise seen from the right: the F right column goes to U', () => {
+        const cube = solvedCube();
+        turn(cube, 'R');
+        assert.deepEqual(rowColors(cube, U, 0, cube.config.half), [F, F, F]);
+        assert.deepEqual(rowColors(cube, F, 0, cube.config.half), [D, D, D]);
+    });
+
+    it('turns the U and D keys the same way as the U and D notation', () => {
+        for (const key of ['u', 'd']) {
+            const cube = solvedCube();
+            const { axis, side } = cube.puzzle.baseMoves[key];
+            cube.puzzle.applyRotation(cube.pieces, cube.puzzle.resolveMove(cube.puzzle.baseMoves[key], false, cube.config));
+            const typed = solvedCube();
+            turn(typed, key.toUpperCase());
+            for (const face of [L, R, F, B]) {
+                assert.deepEqual(rowColors(cube, face, axis, side * cube.config.half),
+                    rowColors(typed, face, axis, side * typed.config.half), `${key} key on face ${face}`);
+            }
+        }
+    });
+
+    it('turns the U key clockwise seen from above: the F top row goes to L', () => {
+        const cube = solvedCube();
+        cube.puzzle.applyRotation(cube.pieces, cube.puzzle.resolveMove(cube.puzzle.baseMoves.u, false, cube.config));
+        assert.deepEqual(rowColors(cube, L, 1, -cube.config.half), [F, F, F]);
+    });
+
+    it('returns to solved after six sexy moves', () => {
+        const cube = solvedCube();
+        turn(cube, "R U R' U' ".repeat(6));
+        for (const face of [U, D, L, R, F, B]) {
+            const colors = cube.pieces.map(p => cube.puzzle.getFaceColor(p, face, cube.config)).filter(c => c !== null);
+            assert.ok(colors.every(c => c === face), `face ${face} is not solved`);
+        }
+    });
+
+    it('turns wide, numbered and inner layers', () => {
+        const { puzzle, config } = solvedCube(5);
+        const layersOf = (token) => puzzle.parseAlgorithm(token, config).map(m => m.layers ?? [m.layer]);
+        assert.deepEqual(layersOf('R'), [[2]]);
+        assert.deepEqual(layersOf('3R'), [[0]]);
+        assert.deepEqual(layersOf('Rw'), [[2, 1]]);
+        assert.deepEqual(layersOf('r'), layersOf('Rw'));
+        assert.deepEqual(layersOf('3Rw'), [[2, 1, 0]]);
+        assert.equal(puzzle.parseMove('6R', config), null);
+    });
+
+    it('turns M E S with L D F across every inner layer', () => {
+        const { puzzle, config } = solvedCube(4);
+        for (const [slice, face] of [['M', 'L'], ['E', 'D'], ['S', 'F']]) {
+            const [move] = puzzle.parseAlgorithm(slice, config);
+            const [ref] = puzzle.parseAlgorithm(face, config);
+            assert.equal(move.axis, ref.axis, slice);
+            assert.equal(move.dir, ref.dir, slice);
+            assert.deepEqual([...move.layers].sort(), [-0.5, 0.5], slice);
+        }
+    });
+
+    it('rotates the whole cube with x y z, following R U F', () => {
+        const { puzzle, config } = solvedCube(3);
+        for (const [rotation, face] of [['x', 'R'], ['y', 'U'], ['z', 'F']]) {
+            const [move] = puzzle.parseAlgorithm(rotation, config);
+            const [ref] = puzzle.parseAlgorithm(face, config);
+            assert.equal(move.dir, ref.dir, rotation);
+            assert.equal(move.layers.length, 3, rotation);
+        }
+    });
+
+    it('repeats parenthesized groups', () => {
+        const { puzzle, config } = solvedCube();
+        assert.deepEqual(puzzle.parseAlgorithm('(R U)3', config), puzzle.parseAlgorithm('R U R U R U', config));
+        assert.deepEqual(puzzle.parseAlgorithm('(R (U)2)2', config), puzzle.parseAlgorithm('R U U R U U', config));
+    });
+
+    it('reports unbalanced parentheses and unknown or zero turns', () => {
+        const { puzzle, config } = solvedCube();
+        assert.throws(() => puzzle.parseAlgorithm('(R U', config), /Unmatched "\("/);
+        assert.throws(() => puzzle.parseAlgorithm('R U)', config), /Unmatched "\)"/);
+        assert.throws(() => puzzle.parseAlgorithm('R Q', config), /Unrecognized move "Q"/);
+        assert.throws(() => puzzle.parseAlgorithm('R0 U', config), /Unrecognized move "R0"/);
+    });
+
+    it('formats every move it parses back to the same move', () => {
+        const { puzzle, config } = solvedCube(5);
+        const tokens = ['R', "U'", 'F2', 'Rw', "3Rw'", '2R', "l'", 'M', "E'", 'S2', 'x', "y'", 'z2'];
+        for (const token of tokens) {
+            const moves = puzzle.parseMove(token, config);
+            const text = puzzle.formatAlgorithm(moves, config);
+            assert.deepEqual(puzzle.parseAlgorithm(text, config), moves, `${token} → ${text}`);
+        }
+        assert.equal(puzzle.formatMove(puzzle.parseMove("R'", config)[0], config), "R'");
+        assert.equal(puzzle.formatMove(puzzle.parseMove('3Rw', config)[0], config), '3Rw');
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * CutPuzzle: the declarative builder on every base solid. Registered specs
+ * are covered by puzzles.test.js; these build well-known puzzles inline.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CutPuzzle } from '../js/puzzles/cut/CutPuzzle.js';
+import { SOLIDS } from '../js/puzzles/cut/polyhedra.js';
+import { describeConformance } from './conformance.js';
+
+/** One face-turning axis per face of the solid. */
+const faceTurning = (id, solid, depth, order) => ({
+    id,
+    name: id,
+    solid,
+    axes: SOLIDS[solid].normals.map((vector, i) => ({ name: `F${i}`, vector, cuts: [depth], order })),
+});
+
+const SPECS = {
+    '3x3x3': faceTurning('3x3x3', 'cube', 1 / 3, 4),
+    fto: faceTurning('fto', 'octa', 1 / 3, 3),
+    megaminx: faceTurning('megaminx', 'dodeca', 0.6, 5),
+    icosa: faceTurning('icosa', 'icosa', 0.8, 3),
+};
+
+describe('CutPuzzle', () => {
+    it('slices the expected pieces', () => {
+        assert.equal(new CutPuzzle(SPECS['3x3x3']).createPieces({}).length, 26);
+        // FTO: 6 corners, 12 edges, 24 centers
+        assert.equal(new CutPuzzle(SPECS.fto).createPieces({}).length, 42);
+    });
+
+    it('shares one moveAngle across axes of different orders', () => {
+        const puzzle = new CutPuzzle({
+            id: 'mixed', name: 'mixed', solid: 'cube',
+            axes: [
+                { name: 'R', vector: [1, 0, 0], cuts: [1 / 3], order: 4 },
+                { name: 'UF', vector: [0, -1, 1], cuts: [1 / Math.sqrt(2)], order: 2 },
+            ],
+        });
+        assert.equal(puzzle.moveAngle, Math.PI / 2);
+        const [uf] = puzzle.parseMove('UF', {});
+        assert.equal(Math.abs(uf.dir), 2);
+        assert.equal(puzzle.formatAlgorithm(puzzle.parseAlgorithm("R R UF UF UF R'", {}), {}), "R2 UF R'");
+    });
+
+    it('rejects an unknown solid', () => {
+        assert.throws(() => new CutPuzzle({ id: 'x', name: 'x', solid: 'sphere', axes: [] }), /Unknown solid/);
+    });
+});
+
+for (const [name, spec] of Object.entries(SPECS)) {
+    describeConformance(`cut: ${name}`, () => new CutPuzzle(spec));
+}
@@ -0,0 +1,68 @@
+/**
+ * Cube facelet strings: the URFDLB layout external solvers use, read from
+ * and written back to the pieces, and the checks on imported strings.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { validateFacelets } from '../js/puzzles/cube/CubeFacelets.js';
+
+describe('cube facelets', () => {
+    it('writes the standard string for a solved cube and after U', () => {
+        const state = createState('cube');
+        const { puzzle, config } = state;
+        assert.equal(puzzle.toFacelets(state.pieces, config), [...'URFDLB'].map(f => f.repeat(9)).join(''));
+        state.applyAlgorithm('U');
+        assert.equal(puzzle.toFacelets(state.pieces, config),
+            'UUUUUUUUU' + 'BBBRRRRRR' + 'RRRFFFFFF' + 'DDDDDDDDD' + 'FFFLLLLLL' + 'LLLBBBBBB');
+    });
+
+    it('reads back what it writes, for 2×2×2 to 5×5×5', () => {
+        for (const N of [2, 3, 4, 5]) {
+            const state = createState('cube', { N });
+            const { puzzle, config } = state;
+            // Outer and wide turns only: a slice turn moves the centers, which relabel an odd cube's colors
+            state.applyAlgorithm("R U2 F' L D B2 R' U F2 L' D' B" + (N > 3 ? " Rw Uw' Fw2" : ''));
+            const text = puzzle.toFacelets(state.pieces, config);
+            const pieces = puzzle.fromFacelets(text, config);
+            assert.equal(puzzle.toFacelets(pieces, config), text, `N=${N}`);
+            // Same colors at every facelet, not just the same letters
+            const copy = state.clone();
+            copy.pieces = pieces;
+            assert.ok(copy.equals(state), `N=${N}`);
+        }
+    });
+
+    it('absorbs a whole-cube rotation on odd cubes', () => {
+        const state = createState('cube');
+        const { puzzle, config } = state;
+        state.applyAlgorithm("R U R'");
+        const text = puzzle.toFacelets(state.pieces, config);
+        state.applyAlgorithm('x y2');
+        assert.notEqual(puzzle.toFacelets(state.pieces, config), text);
+        const rotated = puzzle.toFacelets(state.pieces, config);
+        assert.equal(puzzle.toFacelets(puzzle.fromFacelets(rotated, config), config), rotated);
+    });
+
+    it('rejects strings of the wrong length', () => {
+        const { puzzle, config } = createState('cube', { N: 2 });
+        const solved = puzzle.toFacelets(puzzle.createPieces(config), config);
+        assert.throws(() => puzzle.fromFacelets(solved.slice(1), config), /Expected 24 facelets for 2×2×2, got 23/);
+        assert.throws(() => puzzle.fromFacelets(solved + 'U', config), /got 25/);
+        assert.throws(() => validateFacelets('U'.repeat(54), 2), /Expected 24/);
+    });
+
+    it('rejects wrong color counts and unknown letters', () => {
+        const { puzzle, config } = createState('cube');
+        const solved = puzzle.toFacelets(puzzle.createPieces(config), config);
+        assert.throws(() => puzzle.fromFacelets('R' + solved.slice(1), config), /Color U appears 8 times, expected 9/);
+        assert.throws(() => puzzle.fromFacelets('X' + solved.slice(1), config), /Invalid facelet "X"/);
+    });
+
+    it('ignores whitespace and case', () => {
+        const { puzzle, config } = createState('cube', { N: 2 });
+        const text = 'uuuu rrrr ffff\ndddd llll bbbb';
+        assert.equal(validateFacelets(text, 2), 'UUUURRRRFFFFDDDDLLLLBBBB');
+        assert.equal(puzzle.toFacelets(puzzle.fromFacelets(text, config), config), 'UUUURRRRFFFFDDDDLLLLBBBB');
+    });
+});
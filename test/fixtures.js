@@ -0,0 +1,121 @@
+/**
+ * Shared test fixtures: a canvas and an engine that run without a DOM, and
+ * the checks every 2D view must pass.
+ *
+ *   - stubCanvas(): a canvas whose context ignores every drawing call
+ *   - stubEngine(): a PuzzleEngine on stub canvases, with a puzzle loaded
+ *   - describe2DView(): each sticker is drawn and a click on it selects its
+ *     piece and world face, as a 3D click does; each move's animation ends
+ *     where the move leaves the stickers
+ *
+ *   import { stubCanvas, describe2DView } from './fixtures.js';
+ *   describe2DView('pyraminx net view', {
+ *       state: () => createState('pyraminx', { N: 4 }),
+ *       moves: ({ puzzle, config }) => puzzle.parseAlgorithm("u L' Rw", config),
+ *   });
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { PuzzleEngine } from '../js/engine/PuzzleEngine.js';
+
+/**
+ * A canvas whose context ignores every drawing call, in a container whose
+ * display PuzzleEngine toggles with the 2D view.
+ * @param {number} [width=800]
+ * @param {number} [height=800]
+ * @returns {{ width: number, height: number, getContext: Function, parentElement: Object }}
+ */
+export function stubCanvas(width = 800, height = 800) {
+    const ctx = new Proxy({}, { get: () => () => {} });
+    return { width, height, getContext: () => ctx, parentElement: { style: {} } };
+}
+
+/**
+ * An engine that is never bound to a page, with a registry puzzle loaded.
+ * @param {string} [id='cube']
+ * @param {Object} [config] - Overrides of the puzzle's defaultConfig
+ * @returns {PuzzleEngine}
+ */
+export function stubEngine(id = 'cube', config = {}) {
+    // Just enough DOM: the engine looks up optional page elements by id
+    globalThis.document ??= { getElementById: () => null };
+    const canvas = stubCanvas();
+    const engine = new PuzzleEngine(canvas, canvas);
+    const puzzle = PUZZLES[id]();
+    engine.loadPuzzle(puzzle, { ...puzzle.defaultConfig, ...config });
+    return engine;
+}
+
+/**
+ * A rendered sticker in one shape for every view: polygon views record
+ * { piece, face, poly }, the cube's square views { cubie, fi, x, y }.
+ */
+function normalize(s) {
+    if (s.poly) {
+        const x = s.poly.reduce((sum, w) => sum + w[0], 0) / s.poly.length;
+        const y = s.poly.reduce((sum, w) => sum + w[1], 0) / s.poly.length;
+        return { piece: s.piece, face: s.face, point: [x, y], color: s.color, corners: s.poly };
+    }
+    return { piece: s.cubie, face: s.fi, point: [s.x, s.y], color: s.color, corners: [[s.x, s.y]] };
+}
+
+const near = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]) < 1e-6;
+const samePlace = (a, b) => a.color === b.color && a.corners.length === b.corners.length
+    && a.corners.every(w => b.corners.some(e => near(w, e)));
+
+/** Pair up two renders' stickers by color and corners, in any order. */
+function assertSamePlaces(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    const unmatched = [...expected];
+    for (const s of actual) {
+        const i = unmatched.findIndex(e => samePlace(s, e));
+        assert.ok(i >= 0, `${message}: nothing ends where a ${s.color} sticker is animated to`);
+        unmatched.splice(i, 1);
+    }
+}
+
+/**
+ * Register the shared 2D view checks.
+ * @param {string} name
+ * @param {Object} options
+ * @param {Function} options.state - () → a fresh PuzzleState
+ * @param {Function} options.moves - (state) → moves to animate, applied one after another
+ * @param {Function} [options.view] - (state, canvas) → the view; default puzzle.create2DView
+ * @param {number} [options.stickers] - How many stickers a solved puzzle shows
+ */
+export function describe2DView(name, { state: makeState, moves, view: makeView, stickers }) {
+    const canvas = stubCanvas();
+    const build = (state) => {
+        const view = makeView ? makeView(state, canvas) : state.puzzle.create2DView(canvas, state.config);
+        view.updateScaling(state.config);
+        return view;
+    };
+
+    describe(name, () => {
+        it('draws and selects every sticker', () => {
+            const state = makeState();
+            const view = build(state);
+            view.render(state.pieces, null, 0, state.config);
+            if (stickers !== undefined) assert.equal(view.lastRenderedStickers.length, stickers);
+            for (const s of view.lastRenderedStickers.map(normalize)) {
+                const hit = view.getClickTarget(...s.point, state.config);
+                assert.equal(hit.faceIndex, s.face);
+                assert.deepEqual(hit.m, s.piece.m);
+            }
+        });
+
+        it('ends each move animation where the move leaves the stickers', () => {
+            const state = makeState();
+            const view = build(state);
+            for (const move of moves(state)) {
+                view.render(state.pieces, move, 1, state.config);
+                const animated = view.lastRenderedStickers.map(normalize);
+                state.applyMoves([move]);
+                view.render(state.pieces, null, 0, state.config);
+                assertSamePlaces(animated, view.lastRenderedStickers.map(normalize),
+                    state.puzzle.formatMove(move, state.config) ?? 'move');
+            }
+        });
+    });
+}
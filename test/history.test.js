@@ -0,0 +1,120 @@
+/**
+ * Undo and redo: the move history, and the engine playing it back on every
+ * puzzle, including those whose moves turn about vector axes.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { MoveHistory } from '../js/engine/MoveHistory.js';
+import { stubEngine } from './fixtures.js';
+
+const R = { axis: 0, layer: 1, dir: 1 };
+const U = { axis: 1, layer: -1, dir: 1 };
+const F = { axis: 2, layer: 1, dir: 1 };
+
+describe('move history', () => {
+    it('undoes and redoes in order', () => {
+        const history = new MoveHistory();
+        history.record(R);
+        history.record(U);
+        assert.equal(history.undo(), U);
+        assert.equal(history.undo(), R);
+        assert.equal(history.undo(), null);
+        assert.equal(history.canUndo, false);
+        assert.equal(history.redo(), R);
+        assert.equal(history.redo(), U);
+        assert.equal(history.redo(), null);
+        assert.deepEqual(history.moves, [R, U]);
+    });
+
+    it('forgets undone moves once a new one is made', () => {
+        const history = new MoveHistory();
+        history.record(R);
+        history.record(U);
+        history.undo();
+        assert.equal(history.canRedo, true);
+        history.record(F);
+        assert.equal(history.canRedo, false);
+        assert.equal(history.redo(), null);
+        assert.deepEqual(history.moves, [R, F]);
+    });
+
+    it('keeps locked moves out of reach of undo', () => {
+        const history = new MoveHistory();
+        history.record(R);
+        history.record(U);
+        history.undo();
+        history.lock();
+        assert.equal(history.canRedo, false);
+        history.record(F);
+        assert.equal(history.undo(), F);
+        assert.equal(history.undo(), null);
+        assert.deepEqual(history.moves, [R]);
+        history.clear();
+        history.record(U);
+        assert.equal(history.undo(), U);
+    });
+
+    it('lowers the lock when a locked move is discarded', () => {
+        const history = new MoveHistory();
+        history.record(R);
+        history.record(U);
+        history.lock();
+        history.record(F);
+        history.discard(U);
+        assert.equal(history.floor, 1);
+        assert.equal(history.undo(), F);
+        assert.equal(history.undo(), null);
+        // An undone move is discarded from the redo stack, the lock left alone
+        history.redo();
+        history.undo();
+        history.discard(F);
+        assert.equal(history.floor, 1);
+        assert.equal(history.canRedo, false);
+    });
+});
+
+describe('engine undo', () => {
+    /** Play every queued move to the end, as animation frames would. */
+    function settle(engine) {
+        const { animation } = engine;
+        for (let time = 0; animation.isAnimating; time += animation.moveDuration) {
+            animation.update(time, engine.puzzle, engine.pieces);
+        }
+    }
+
+    it('returns every puzzle to its start by undoing a scramble', () => {
+        for (const id of Object.keys(PUZZLES)) {
+            const engine = stubEngine(id);
+            const start = engine.state.clone();
+            engine.scramble();
+            settle(engine);
+            assert.ok(!engine.state.equals(start), id);
+            while (engine.history.canUndo) engine.undo();
+            settle(engine);
+            assert.ok(engine.state.equals(start), id);
+
+            while (engine.history.canRedo) engine.redo();
+            settle(engine);
+            const replayed = start.clone().applyMoves(engine.history.moves);
+            assert.ok(engine.state.equals(replayed), id);
+        }
+    });
+
+    it('undoes a turn about a vector axis', () => {
+        for (const [id, alg] of [['pyraminx', "R U' l"], ['megaminx', "R++ D-- U' 2DBL"]]) {
+            const engine = stubEngine(id);
+            const start = engine.state.clone();
+            const moves = engine.puzzle.parseAlgorithm(alg, engine.config);
+            for (const move of moves) {
+                assert.ok(Array.isArray(move.axis), id);
+                engine.queueMove(move);
+            }
+            settle(engine);
+            engine.undo();
+            engine.undo();
+            settle(engine);
+            assert.ok(engine.state.equals(start.clone().applyMoves(moves.slice(0, -2))), id);
+        }
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Megaminx sizes, notation and Pochmann scrambles. Sizes 2 and 3 are also
+ * covered by puzzles.test.js.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { createState } from '../js/headless.js';
+import { describeConformance } from './conformance.js';
+import { describe2DView } from './fixtures.js';
+
+/** Number of pieces with 1, 2 and 3 stickers. */
+function pieceKinds(state) {
+    const kinds = [0, 0, 0];
+    for (const piece of state.pieces) kinds[piece.stickers.filter(Boolean).length - 1]++;
+    return kinds;
+}
+
+describe('megaminx sizes', () => {
+    it('builds each piece set', () => {
+        assert.deepEqual(pieceKinds(createState('megaminx', { size: 2 })), [0, 0, 20]);
+        assert.deepEqual(pieceKinds(createState('megaminx', { size: 3 })), [12, 30, 20]);
+        // Master Kilominx: 5 kite centers per face, 2 wings per edge
+        assert.deepEqual(pieceKinds(createState('megaminx', { size: 4 })), [60, 60, 20]);
+        assert.deepEqual(pieceKinds(createState('megaminx', { size: 5 })), [132, 90, 20]);
+    });
+
+    it('turns the layer at selectedDepth', () => {
+        const state = createState('megaminx', { size: 5 });
+        const { puzzle, pieces, config } = state;
+        const turned = (depth) => {
+            const move = puzzle.resolveMove(puzzle.baseMoves.u, false, { ...config, selectedDepth: depth });
+            return pieces.filter(p => puzzle.isPieceInMove(p, move)).length;
+        };
+        assert.equal(config.N, 5);
+        assert.deepEqual([1, 2, 3, 4, 5].map(turned), [31, 20, 140, 20, 31]);
+    });
+
+    it('scales scrambles with the size', () => {
+        const length = (size) => {
+            const { puzzle, config } = createState('megaminx', { size });
+            return puzzle.generateScramble(config).length;
+        };
+        assert.ok(length(2) < length(3) && length(3) < length(5));
+    });
+});
+
+describe('megaminx notation', () => {
+    it('round-trips face, inner-layer and Pochmann turns', () => {
+        const { puzzle, config } = createState('megaminx', { size: 5 });
+        const alg = "U R2' BL DBR2 2F' 3D r++ D-- R++";
+        assert.equal(puzzle.formatAlgorithm(puzzle.parseAlgorithm(alg, config), config), alg);
+    });
+
+    it('merges turns modulo five', () => {
+        const { puzzle, config } = createState('megaminx');
+        const moves = puzzle.parseAlgorithm("R R R U2 U2' F5 L' L", config);
+        assert.equal(puzzle.formatAlgorithm(moves, config), "R2'");
+    });
+
+    it('turns all but the opposite face with R++', () => {
+        const state = createState('megaminx');
+        const { puzzle, config } = state;
+        const [wide] = puzzle.parseMove('R++', config);
+        const [dbl] = puzzle.parseMove('DBL', config);
+        const turned = state.pieces.filter(p => puzzle.isPieceInMove(p, wide));
+        assert.equal(turned.length, 62 - 11);
+        assert.ok(state.pieces.every(p => puzzle.isPieceInMove(p, wide) !== puzzle.isPieceInMove(p, dbl)));
+        assert.equal(puzzle.parseMove('r++', config), null);
+    });
+
+    it('writes the scramble as Pochmann lines', () => {
+        const { puzzle, config } = createState('megaminx');
+        const lines = puzzle.formatScramble(puzzle.generateScramble(config), config).split('\n');
+        assert.equal(lines.length, 7);
+        for (const line of lines) assert.match(line, /^(R(\+\+|--) D(\+\+|--) ){5}U'?$/);
+    });
+});
+
+describe2DView('megaminx net view', {
+    state: () => createState('megaminx', { size: 4 }),
+    moves: ({ puzzle, config }) => puzzle.parseAlgorithm("U R2' 2DBL R++", config),
+    // Twenty stickers on each of the twelve faces
+    stickers: 12 * 20,
+});
+
+describeConformance('megaminx, larger sizes', PUZZLES.megaminx, [
+    { size: 4, selectedDepth: 1 },
+    { size: 5, selectedDepth: 1 },
+]);
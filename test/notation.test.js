@@ -0,0 +1,48 @@
+/**
+ * Puzzle-agnostic notation: the tokenizer and turn amounts every puzzle's
+ * parseMove shares.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeAlgorithm, parseAmount } from '../js/engine/notation.js';
+import { createState, PUZZLES } from '../js/headless.js';
+
+describe('notation', () => {
+    it('splits on whitespace and commas and expands repeats', () => {
+        assert.deepEqual(tokenizeAlgorithm("R, U  R'"), ['R', 'U', "R'"]);
+        assert.deepEqual(tokenizeAlgorithm('(R U)2 F'), ['R', 'U', 'R', 'U', 'F']);
+        assert.deepEqual(tokenizeAlgorithm('R U’ F′'), ['R', "U'", "F'"]);
+    });
+
+    it('rejects unbalanced parentheses', () => {
+        assert.throws(() => tokenizeAlgorithm('(R U'), /Unmatched "\("/);
+        assert.throws(() => tokenizeAlgorithm('R) U'), /Unmatched "\)" at position 2/);
+    });
+
+    it('reads amounts, and no amount from a zero count', () => {
+        assert.equal(parseAmount('', ''), 1);
+        assert.equal(parseAmount('2', "'"), -2);
+        assert.equal(parseAmount('0', ''), null);
+        assert.equal(parseAmount('0', "'"), null);
+    });
+
+    it('refuses a zero turn on every puzzle with notation', () => {
+        for (const id of Object.keys(PUZZLES)) {
+            const { puzzle, config } = createState(id);
+            if (!puzzle.hasNotation) continue;
+            const [bm] = Object.values(puzzle.baseMoves);
+            const name = puzzle.formatMove(puzzle.resolveMove(bm, false, config), config);
+            const zero = name.replace(/\d*'?$/, '') + '0';
+            assert.equal(puzzle.parseMove(zero, config), null, `${id} ${zero}`);
+            assert.throws(() => puzzle.parseAlgorithm(`${zero} ${name}`, config), /Unrecognized move/, id);
+        }
+    });
+
+    it('refuses a quarter turn on a cuboid axis that only half-turns', () => {
+        const { puzzle, config } = createState('cuboid', { X: 2, Y: 3, Z: 1 });
+        assert.equal(puzzle.parseMove('R', config), null);
+        assert.equal(puzzle.parseMove("U'", config), null);
+        assert.deepEqual(puzzle.parseMove('R2', config).map(m => Math.abs(m.dir)), [2]);
+        assert.throws(() => puzzle.parseAlgorithm('R2 U', config), /Unrecognized move "U"/);
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * Runs the conformance kit against every puzzle in the registry, so new
+ * puzzles are covered as soon as they are registered.
+ *
+ *   node --test test/
+ */
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { describeConformance } from './conformance.js';
+
+for (const [id, factory] of Object.entries(PUZZLES)) {
+    describeConformance(id, factory);
+}
+
+// Bandaging restricts which moves are legal from each state
+describeConformance('cube, bandaged', PUZZLES.cube, [
+    { ...PUZZLES.cube().defaultConfig, bandages: '0,0,2+1,0,2; 2,2,0+2,1,0' },
+]);
@@ -0,0 +1,75 @@
+/**
+ * Pyraminx: WCA notation, random-state scrambles and the net view.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { solveBody } from '../js/puzzles/pyraminx/PyraminxScrambler.js';
+import { stubCanvas, describe2DView } from './fixtures.js';
+
+describe('pyraminx notation', () => {
+    it('round-trips tips, layers and wide blocks', () => {
+        const { puzzle, config } = createState('pyraminx', { N: 5 });
+        const alg = "u l' R B' Uw 4Lw' r";
+        assert.equal(puzzle.formatAlgorithm(puzzle.parseAlgorithm(alg, config), config), alg);
+    });
+
+    it('rejects blocks that would turn the whole puzzle', () => {
+        const { puzzle, config } = createState('pyraminx');
+        assert.equal(puzzle.parseMove('Uw', config), null);
+        assert.equal(puzzle.parseMove('3U', config), null);
+        assert.deepEqual(puzzle.parseAlgorithm('U2', config), puzzle.parseAlgorithm("U'", config));
+    });
+
+    it('turns only the tip with a lowercase move', () => {
+        const state = createState('pyraminx');
+        const { puzzle, config } = state;
+        const count = (token) => state.pieces.filter(p => puzzle.isPieceInMove(p, puzzle.parseMove(token, config)[0])).length;
+        assert.equal(count('u'), 1);
+        // Tip, three edges and the center below it
+        assert.equal(count('U'), 5);
+    });
+});
+
+describe('pyraminx scrambles', () => {
+    it('solves the body of any state', () => {
+        const state = createState('pyraminx');
+        const moves = Array.from({ length: 25 }, () => [Math.floor(Math.random() * 4), Math.random() < 0.5 ? 1 : -1]);
+        const solution = solveBody(moves);
+        assert.ok(solution.length <= 11, `${solution.length} moves`);
+        const toMove = ([vertex, dir]) => state.puzzle.resolveMove(Object.values(state.puzzle.baseMoves)[vertex], dir < 0, state.config);
+        state.applyMoves([...moves, ...solution].map(toMove));
+        assert.ok(state.isSolved());
+    });
+
+    it('writes a WCA-style scramble: body, then tips', () => {
+        const { puzzle, config } = createState('pyraminx');
+        const text = puzzle.formatScramble(puzzle.generateScramble(config), config);
+        assert.match(text, /^([ULRB]'? ){5,10}[ULRB]'?( u'?)?( l'?)?( r'?)?( b'?)?$/);
+    });
+});
+
+describe2DView('pyraminx net view', {
+    state: () => createState('pyraminx', { N: 4 }),
+    moves: ({ puzzle, config }) => puzzle.parseAlgorithm("u L' Rw B b'", config),
+    stickers: 4 * 16,
+});
+
+describe('pyraminx net view arrows', () => {
+    const canvas = stubCanvas();
+
+    it('turns a corner of the selected sticker with the arrow keys', () => {
+        const { puzzle, pieces, config } = createState('pyraminx');
+        const view = puzzle.create2DView(canvas);
+        view.render(pieces, null, 0, config);
+        const { piece, poly } = view.lastRenderedStickers[0];
+        const selected = view.getClickTarget((poly[0][0] + poly[1][0] + poly[2][0]) / 3,
+            (poly[0][1] + poly[1][1] + poly[2][1]) / 3, config);
+        const right = view.resolveArrowMove(piece, selected, [1, 0], config);
+        const left = view.resolveArrowMove(piece, selected, [-1, 0], config);
+        assert.notEqual(right.vertex, selected.faceIndex);
+        assert.ok(puzzle.isPieceInMove(piece, right));
+        assert.equal(left.vertex, right.vertex);
+        assert.equal(left.dir, -right.dir);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Session persistence: what a reload restores, and saved data that cannot be
+ * trusted (another schema version, corrupt JSON) being set aside.
+ */
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { SessionStore, MIGRATIONS } from '../js/engine/SessionStore.js';
+import { stubEngine } from './fixtures.js';
+
+/** Storage backed by a Map, as localStorage behaves. */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+/** Storage holding one saved session of a scrambled 4×4×4, and the engine it came from. */
+function savedSession() {
+    const storage = memoryStorage();
+    const engine = stubEngine('cube', { N: 4 });
+    engine.scramble(true);
+    engine.animation.setSpeed(420);
+    new SessionStore(engine, PUZZLES, storage).save();
+    const [key] = storage.items.keys();
+    return { storage, engine, key };
+}
+
+describe('session store', () => {
+    afterEach(() => {
+        for (const version of Object.keys(MIGRATIONS)) delete MIGRATIONS[version];
+    });
+
+    it('restores the puzzle, its state, config and speed', () => {
+        const { storage, engine } = savedSession();
+        const copy = stubEngine();
+        const store = new SessionStore(copy, PUZZLES, storage);
+        assert.equal(store.restore(), true);
+        assert.equal(copy.config.N, 4);
+        assert.equal(copy.animation.moveDuration, 420);
+        assert.ok(copy.state.equals(engine.state));
+        assert.equal(store.configFor(PUZZLES.cube()).N, 4);
+    });
+
+    it('can restore settings without the puzzle', () => {
+        const { storage } = savedSession();
+        const copy = stubEngine();
+        assert.equal(new SessionStore(copy, PUZZLES, storage).restore({ puzzle: false }), false);
+        assert.equal(copy.animation.moveDuration, 420);
+        assert.equal(copy.config.N, 3);
+        assert.ok(copy.isSolved());
+    });
+
+    it('discards data from another schema version', () => {
+        for (const version of [0, 2, '1']) {
+            const { storage, key } = savedSession();
+            storage.setItem(key, JSON.stringify({ ...JSON.parse(storage.getItem(key)), version }));
+            const copy = stubEngine();
+            assert.equal(new SessionStore(copy, PUZZLES, storage).restore(), false, String(version));
+            assert.ok(copy.isSolved());
+            // Unusable data of a known shape is cleared, so it is not read again
+            assert.equal(storage.items.has(key), typeof version !== 'number', String(version));
+        }
+    });
+
+    it('ignores corrupt or missing data', () => {
+        const { storage, key } = savedSession();
+        storage.setItem(key, '{"version": 1, "current": ');
+        assert.equal(new SessionStore(stubEngine(), PUZZLES, storage).load(), null);
+        assert.equal(new SessionStore(stubEngine(), PUZZLES, memoryStorage()).restore(), false);
+        assert.equal(new SessionStore(stubEngine(), PUZZLES, null).restore(), false);
+    });
+
+    it('upgrades old data through each migration in turn', () => {
+        const { storage, key, engine } = savedSession();
+        const saved = JSON.parse(storage.getItem(key));
+        // A version -1 payload kept the speed under another name
+        const { moveDuration, ...old } = saved;
+        storage.setItem(key, JSON.stringify({ ...old, version: -1, speed: moveDuration }));
+        const steps = [];
+        MIGRATIONS[-1] = ({ speed, ...data }) => {
+            steps.push(-1);
+            return { ...data, version: 0, moveDuration: speed };
+        };
+        MIGRATIONS[0] = (data) => {
+            steps.push(0);
+            return { ...data, version: 1 };
+        };
+
+        const copy = stubEngine();
+        assert.equal(new SessionStore(copy, PUZZLES, storage).restore(), true);
+        assert.deepEqual(steps, [-1, 0]);
+        assert.equal(copy.animation.moveDuration, 420);
+        assert.ok(copy.state.equals(engine.state));
+    });
+
+    it('keeps going when storage refuses to save', () => {
+        const storage = { ...memoryStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+        assert.doesNotThrow(() => new SessionStore(stubEngine(), PUZZLES, storage).save());
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Snapshots and the URL hash: what a link records comes back when it is
+ * opened, and a hash edited by hand never leaves the puzzle broken.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUZZLES } from '../js/puzzles/registry.js';
+import { UrlState } from '../js/engine/UrlState.js';
+import { captureSnapshot, restoreSnapshot } from '../js/engine/snapshot.js';
+import { stubEngine } from './fixtures.js';
+
+/** A fresh engine restored from a hash. */
+function opened(hash) {
+    const e = stubEngine();
+    const restored = new UrlState(e, PUZZLES).restore(hash);
+    return { engine: e, restored };
+}
+
+describe('snapshots', () => {
+    it('restores puzzle, config, moves and camera through the URL hash', () => {
+        for (const id of Object.keys(PUZZLES)) {
+            const source = stubEngine(id);
+            source.scramble(true);
+            source.renderer.viewYaw = 0.25;
+            source.renderer.viewPitch = -0.5;
+            const hash = new UrlState(source, PUZZLES).encode();
+
+            const { engine: copy, restored } = opened(hash);
+            assert.ok(restored, id);
+            assert.equal(copy.puzzle.id, id);
+            assert.deepEqual(captureSnapshot(copy), captureSnapshot(source), id);
+            assert.ok(copy.state.equals(source.state), id);
+        }
+    });
+
+    it('restores a config other than the default', () => {
+        const source = stubEngine('cube', { N: 5 });
+        source.applyMoves(source.puzzle.parseAlgorithm("3Rw U' 2F", source.config));
+        const { engine: copy } = opened(new UrlState(source, PUZZLES).encode());
+        assert.equal(copy.config.N, 5);
+        assert.equal(copy.history.moves.length, 3);
+        assert.ok(copy.state.equals(source.state));
+    });
+
+    it('rejects a hash naming no puzzle it knows', () => {
+        assert.equal(opened('#puzzle=rubiks-clock&moves=R').restored, false);
+        assert.equal(opened('').restored, false);
+        assert.equal(restoreSnapshot(stubEngine(), PUZZLES, null), false);
+    });
+
+    it('drops the whole move list when any of it is malformed', () => {
+        for (const moves of [
+            "R+U+Q+R'",
+            'R+U+R0',
+            '[{"axis":0,"layer":1,"dir":1},{"axis":9,"layer":1,"dir":1}]',
+            // Turns no piece, or leaves pieces between slots
+            '[{"axis":0,"layer":0.5,"dir":1}]',
+            '[{"axis":0,"layer":1,"dir":0.5}]',
+            '[null]',
+            '{"axis":0}',
+            '[{"axis',
+        ]) {
+            const { engine: e, restored } = opened(`#puzzle=cube&moves=${encodeURIComponent(moves)}&yaw=1&pitch=2`);
+            assert.ok(restored, moves);
+            assert.deepEqual(e.history.moves, [], moves);
+            assert.ok(e.isSolved(), moves);
+            // The rest of the hash still applies; pitch is clamped
+            assert.equal(e.renderer.viewYaw, 1);
+            assert.equal(e.renderer.viewPitch, Math.PI / 2);
+        }
+    });
+
+    it('falls back to defaults for malformed config and camera values', () => {
+        const { engine: e } = opened('#puzzle=cube&N=huge&borderWidth=99&yaw=left');
+        const defaults = PUZZLES.cube().defaultConfig;
+        assert.equal(e.config.N, defaults.N);
+        // Clamped to the parameter's range, then to what a 3×3×3 has room for
+        assert.equal(e.config.borderWidth, 2);
+        assert.equal(e.renderer.viewYaw, PUZZLES.cube().defaultViewAngles.yaw);
+    });
+
+    it('keeps JSON-stored moves that are real moves of the puzzle', () => {
+        const source = stubEngine();
+        const moves = source.puzzle.parseAlgorithm("R U'", source.config);
+        const { engine: e } = opened(`#puzzle=cube&moves=${encodeURIComponent(JSON.stringify(moves))}`);
+        assert.deepEqual(e.history.moves, moves);
+    });
+});
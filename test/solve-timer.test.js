@@ -0,0 +1,40 @@
+/**
+ * Timed solves: the scramble is applied instantly and stays out of reach
+ * of undo, so the clock can only be beaten by actually solving.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubEngine } from './fixtures.js';
+
+function timedEngine() {
+    const engine = stubEngine();
+    engine.timer.enabled = true;
+    return engine;
+}
+
+describe('solve timer', () => {
+    it('keeps Ctrl+Z from undoing the scramble', () => {
+        const engine = timedEngine();
+        engine.timer.startSolve();
+        const scrambled = engine.history.moves.length;
+        assert.ok(scrambled > 0);
+        assert.equal(engine.history.canUndo, false);
+        engine.undo();
+        assert.equal(engine.animation.queue.length, 0, 'undo queued a scramble move');
+        assert.equal(engine.history.moves.length, scrambled);
+        assert.equal(engine.timer.state, 'inspecting');
+    });
+
+    it('still undoes the solver\'s own turns, which start the clock', () => {
+        const engine = timedEngine();
+        engine.addEventListener('queue', () => engine.timer._onTurn());
+        engine.timer.startSolve();
+        const [R] = engine.puzzle.parseAlgorithm('R', engine.config);
+        engine.queueMove(R);
+        assert.equal(engine.timer.state, 'running');
+        engine.undo();
+        assert.equal(engine.animation.queue.length, 2);
+        engine.undo();
+        assert.equal(engine.animation.queue.length, 2);
+    });
+});
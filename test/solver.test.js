@@ -0,0 +1,57 @@
+/**
+ * Two-phase 3×3×3 solver: solutions that solve, states it refuses, and the
+ * cubes it is offered for. Runs the search directly; in the page it runs in
+ * a Web Worker.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState } from '../js/headless.js';
+import { solve } from '../js/puzzles/cube/solver/TwoPhase.js';
+
+const SOLVED = [...'URFDLB'].map(f => f.repeat(9)).join('');
+
+/** The solved string with the letters at the given facelet indices moved one along. */
+function cycle(indices, facelets = SOLVED) {
+    const out = [...facelets];
+    indices.forEach((from, k) => { out[indices[(k + 1) % indices.length]] = facelets[from]; });
+    return out.join('');
+}
+
+describe('cube solver', () => {
+    it('solves random scrambles in at most 22 moves', () => {
+        for (let round = 0; round < 5; round++) {
+            const state = createState('cube');
+            const { puzzle, config } = state;
+            state.scramble();
+            const solution = solve(puzzle.toFacelets(state.pieces, config));
+            // Counted in face turns: a half turn is one
+            assert.ok(solution.split(' ').length <= 22, solution);
+            state.applyMoves(puzzle.parseAlgorithm(solution, config));
+            assert.ok(state.isSolved(), solution);
+        }
+    });
+
+    it('has nothing to do on a solved cube', () => {
+        assert.equal(solve(SOLVED), '');
+    });
+
+    it('refuses states no sequence of turns reaches', () => {
+        // URF corner: U9, R1, F3
+        assert.throws(() => solve(cycle([8, 9, 20])), /twisted corner/);
+        // UR edge: U6, R2
+        assert.throws(() => solve(cycle([5, 10])), /flipped edge/);
+        // UR and UF edges swapped: their R2 and F2 stickers trade places
+        assert.throws(() => solve(cycle([10, 19])), /parity/);
+        assert.throws(() => solve(cycle([0, 9])), /Invalid cube/);
+    });
+
+    it('is offered for the unbandaged 3×3×3 only', () => {
+        const canSolve = (config) => {
+            const { puzzle, config: full } = createState('cube', config);
+            return puzzle.canSolve(full);
+        };
+        assert.equal(canSolve({}), true);
+        for (const N of [1, 2, 4, 5]) assert.equal(canSolve({ N }), false, `N=${N}`);
+        assert.equal(canSolve({ bandages: '0,0,2+1,0,2' }), false);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Solve statistics: penalties, trimmed averages and time formatting, by
+ * WCA rules.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { effectiveTime, bestTime, meanTime, averageOf, formatTime } from '../js/engine/stats.js';
+
+const solve = (time, penalty = null) => ({ time, penalty });
+const solves = (...times) => times.map(t => (typeof t === 'number' ? solve(t) : t));
+
+describe('solve statistics', () => {
+    it('adds two seconds for +2 and counts a DNF as unfinished', () => {
+        assert.equal(effectiveTime(solve(9000)), 9000);
+        assert.equal(effectiveTime(solve(9000, '+2')), 11000);
+        assert.equal(effectiveTime(solve(9000, 'DNF')), Infinity);
+    });
+
+    it('leaves DNFs out of the best single and the mean', () => {
+        const list = solves(12000, solve(8000, 'DNF'), solve(9000, '+2'), 14000);
+        assert.equal(bestTime(list), 11000);
+        assert.equal(meanTime(list), (12000 + 11000 + 14000) / 3);
+        assert.equal(bestTime(solves(solve(8000, 'DNF'))), null);
+        assert.equal(meanTime([]), null);
+    });
+
+    it('drops the best and worst of five', () => {
+        assert.equal(averageOf(solves(10000, 12000, 8000, 15000, 11000), 5), 11000);
+        // Only the last five count
+        assert.equal(averageOf(solves(1000, 10000, 12000, 8000, 15000, 11000), 5), 11000);
+        assert.equal(averageOf(solves(10000, 12000, 8000, 15000), 5), null);
+    });
+
+    it('trims 5% at each end of larger averages', () => {
+        // ao12 drops one each way, ao100 five
+        const twelve = solves(...Array.from({ length: 12 }, (_, i) => (i + 1) * 1000));
+        assert.equal(averageOf(twelve, 12), 6500);
+        const hundred = solves(...Array.from({ length: 100 }, (_, i) => (i + 1) * 1000));
+        assert.equal(averageOf(hundred, 100), 50500);
+    });
+
+    it('counts a +2 in the average', () => {
+        assert.equal(averageOf(solves(10000, solve(10000, '+2'), 8000, 15000, 11000), 5), 11000);
+    });
+
+    it('drops a single DNF as the worst time, but two make the average a DNF', () => {
+        const dnf = solve(7000, 'DNF');
+        assert.equal(averageOf(solves(10000, 12000, 8000, dnf, 11000), 5), 11000);
+        assert.equal(averageOf(solves(10000, dnf, 8000, dnf, 11000), 5), Infinity);
+    });
+
+    it('formats times, DNFs and missing values', () => {
+        assert.equal(formatTime(9876), '9.87');
+        assert.equal(formatTime(61050), '1:01.05');
+        assert.equal(formatTime(Infinity), 'DNF');
+        assert.equal(formatTime(null), '–');
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Generated net 2D view, shown for every puzzle without a hand-written one.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, PUZZLES } from '../js/headless.js';
+import { pointInConvexPolygon } from '../js/engine/math.js';
+import { UnfoldedNetView } from '../js/puzzles/UnfoldedNetView.js';
+import { stubCanvas, describe2DView } from './fixtures.js';
+
+const canvas = stubCanvas();
+
+function netView(state) {
+    const view = new UnfoldedNetView(canvas, state.puzzle);
+    view.updateScaling(state.config);
+    return view;
+}
+
+const centroid = (poly) => poly.reduce((c, [x, y]) => [c[0] + x / poly.length, c[1] + y / poly.length], [0, 0]);
+const inside = ([x, y], s) => pointInConvexPolygon(x, y, s.poly.map(([px, py]) => ({ x: px, y: py })));
+
+describe('unfolded net view', () => {
+    it('is the 2D view of puzzles without their own', () => {
+        for (const id of ['cuboid', 'skewb', 'fto', 'dino', 'helicopter']) {
+            const { puzzle, config } = createState(id);
+            assert.ok(puzzle.has2DView, id);
+            assert.ok(puzzle.create2DView(canvas, config) instanceof UnfoldedNetView, id);
+        }
+    });
+
+    it('colors stickers through getStickerColor', () => {
+        for (const id of ['cuboid', 'skewb']) {
+            const state = createState(id);
+            const { puzzle, config } = state;
+            state.applyMoves(puzzle.generateScramble(config, state.pieces));
+            const view = netView(state);
+            view.render(state.pieces, null, 0, config);
+            const shown = view.lastRenderedStickers.map(s => s.color).sort();
+            // The same sticker colors as the 3D view draws
+            const expected = state.pieces.flatMap(piece => piece.stickers.filter(Boolean)
+                .map(sticker => puzzle.colors[sticker.faceId])).sort();
+            assert.deepEqual(shown, expected, id);
+
+            puzzle.getStickerColor = () => 0;
+            view.render(state.pieces, null, 0, config);
+            assert.ok(view.lastRenderedStickers.every(s => s.color === puzzle.colors[0]), id);
+        }
+    });
+
+    it('lays out every face within the canvas, without overlaps', () => {
+        for (const id of Object.keys(PUZZLES)) {
+            const state = createState(id);
+            const view = netView(state);
+            view.render(state.pieces, null, 0, state.config);
+            const stickers = view.lastRenderedStickers;
+            assert.equal(new Set(stickers.map(s => s.face)).size, view.faces.size, id);
+            for (const s of stickers) {
+                const point = centroid(s.poly);
+                assert.equal(stickers.filter(o => inside(point, o)).length, 1, id);
+                assert.ok(s.poly.every(([x, y]) => x >= 0 && x <= canvas.width && y >= 0 && y <= canvas.height), id);
+            }
+        }
+    });
+});
+
+for (const id of Object.keys(PUZZLES)) {
+    describe2DView(`unfolded net view, ${id}`, {
+        state: () => createState(id),
+        view: (state, canvas) => new UnfoldedNetView(canvas, state.puzzle),
+        moves: ({ puzzle, config, pieces }) => puzzle.generateScramble(config, pieces).slice(0, 6),
+    });
+}